@@ -1,9 +1,26 @@
 /* background.js (Service Worker)
  * Message hub:
- * - GET_PROFILE, SET_PROFILE
+ * - GET_PROFILE, SET_PROFILE (one named profile; defaults to the active one)
+ *   Every profile action answers { ok: false, locked: true } while the
+ *   encrypted vault is locked
+ * - PROFILES_CREATE, PROFILES_DELETE, SET_ACTIVE_PROFILE
+ * - PROFILES_GET_ALL, PROFILES_SET_ALL (export / import)
+ * - QA_ADD (append a question/answer to a profile's Q&A bank)
  * - TOGGLE_DEBUG
- * - SITE_RULES (get/set)
- * - PING, FILL_FORM (broadcast to all frames)
+ * - SETTINGS_GET, SET_SETTINGS, SITE_RULES (get/set)
+ * - VAULT_STATUS, VAULT_ENABLE, VAULT_DISABLE, VAULT_UNLOCK, VAULT_LOCK
+ * - BACKUP_SEAL, BACKUP_OPEN (passphrase-encrypted export bundles)
+ * - FILES_GET, FILES_ADD, FILES_REMOVE (CV / cover letter attachments)
+ * - PING, FILL_FORM (broadcast to all frames; assist: true keeps watching)
+ * - APPLICATIONS_GET, APPLICATIONS_UPDATE, APPLICATIONS_REMOVE (tracker;
+ *   entries are recorded by FILL_FORM)
+ * - JOB_GET (job posting detected on the page, best frame wins)
+ * - TEMPLATE_PREVIEW (cover letter / summary templates resolved for the page)
+ * - UNDO_FILL (broadcast; or one field by frameId + undoId)
+ * - ASSIST_STATUS, ASSIST_STOP, ASSIST_PROGRESS (from frames: new fills)
+ * - TEACH_START (broadcast), TEACH_SAVE (from a frame: selector -> customMap)
+ * Outside the popup: keyboard commands (fill-form, fill-field, undo-fill)
+ * and the "insert profile value" context menu on editable fields
  */
 
 "use strict";
@@ -16,10 +33,13 @@ const DEFAULTS = {
     email: "",
     phone: "",
     addressLine: "",
+    addressLine2: "",
+    neighbourhood: "",
+    district: "",
     city: "",
     state: "",
     postalCode: "",
-    country: "",
+    country: "", // ISO 3166-1 alpha-2 ("TR") when known
     linkedin: "",
     github: "",
     website: "",
@@ -29,6 +49,11 @@ const DEFAULTS = {
     graduationYear: "",
     experienceYears: "",
     salaryExpectation: "",
+    positions: [], // { company, title, startDate, endDate, description }
+    schools: [], // { institution, degree, field, startYear, endYear }
+    answers: {}, // screening questions: { workAuthorization: "yes", ... }
+    qaBank: [], // { questions: [..], answer, kind: "text" | "select" | "radio" }
+    templates: [], // { name, target: "coverLetter" | "summary", lang, body }
   },
   settings: {
     debug: false,
@@ -39,16 +64,56 @@ const DEFAULTS = {
     fillPolicy: {
       skipIfNotEmpty: true,
       dryRun: false,
+      review: false, // in-page accept / reject panel before writing
+    },
+    vault: {
+      lockMinutes: 15, // encrypted profiles relock this long after unlocking
+    },
+    ai: {
+      enabled: false,
+      baseUrl: "http://localhost:11434/v1", // any OpenAI-compatible server
+      model: "",
+      apiKey: "",
     },
   },
   siteRules: {
     mode: "neutral", // neutral | whitelist | blacklist
     domains: {
-      // "example.com": { rule: "whitelist"|"blacklist", enabledTypes: [...], disabledTypes: [...], customMap: {...} }
+      // "example.com": { rule: "whitelist"|"blacklist", profile: "<profileId>", enabledTypes: [...], disabledTypes: [...], customMap: {...} }
     },
   },
 };
 
+// Named profiles (personas) are stored as
+// profiles: { [id]: { name, profile } }, activeProfileId: id
+const DEFAULT_PROFILE_ID = "default";
+const DEFAULT_PROFILE_NAME = "Varsayılan";
+
+// Optional AI drafts: exactly these profile keys (plus the question and the
+// page's job text) are sent to the configured endpoint. Keep the data notice
+// in options.html in sync.
+const AI_PROFILE_FIELDS = [
+  "summary",
+  "experienceYears",
+  "city",
+  "country",
+  "positions",
+  "schools",
+];
+const AI_MAX_QUESTIONS = 5;
+
+// Unanswered questions surfaced in the popup
+const MAX_UNMATCHED_QUESTIONS = 10;
+const QA_KINDS = ["text", "select", "radio"];
+const AI_TIMEOUT_MS = 60000;
+
+// Attachments live under their own "files" key and are only read on demand:
+// [{ id, kind: "resume"|"coverLetter", profileId, name, type, size, dataUrl, addedAt }]
+// base64 grows a file by a third; the manifest asks for unlimitedStorage so
+// several of these fit past the 10 MB storage.local quota
+const FILE_KINDS = ["resume", "coverLetter"];
+const MAX_FILE_BYTES = 4 * 1024 * 1024;
+
 function withLastError(label) {
   const err = chrome.runtime.lastError;
   if (err) console.warn("[CV Asistan]", label, err.message);
@@ -64,30 +129,521 @@ async function storageGet(keys) {
   });
 }
 
+// Resolves false when the write failed (e.g. quota exceeded)
 async function storageSet(obj) {
   return new Promise((resolve) => {
     chrome.storage.local.set(obj, () => {
-      withLastError("storage.set");
+      resolve(!withLastError("storage.set"));
+    });
+  });
+}
+
+async function storageRemove(keys) {
+  return new Promise((resolve) => {
+    chrome.storage.local.remove(keys, () => {
+      withLastError("storage.remove");
+      resolve(true);
+    });
+  });
+}
+
+// Job postings come from every frame; structured data beats guesses, and
+// the top frame wins ties (embedded boards keep the posting outside)
+const JOB_SOURCE_RANK = ["json-ld", "microdata", "opengraph", "headings"];
+
+function pickJobPosting(candidates) {
+  const ranked = candidates
+    .filter((c) => c.job)
+    .sort(
+      (a, b) =>
+        JOB_SOURCE_RANK.indexOf(a.job.source) -
+          JOB_SOURCE_RANK.indexOf(b.job.source) || a.frameId - b.frameId,
+    );
+  return ranked[0]?.job || null;
+}
+
+function jobPostingText(job) {
+  if (!job) return "";
+  return [
+    job.title && `Title: ${job.title}`,
+    job.company && `Company: ${job.company}`,
+    job.location && `Location: ${job.location}`,
+    job.employmentType && `Employment type: ${job.employmentType}`,
+    job.description,
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+// Only frames that already run the scripts answer; `inject` loads them
+// first (fill flows), the popup's lookups never do
+async function detectJobPosting(tabId, inject = false) {
+  if (inject) await broadcastToAllFrames(tabId, { action: "PING" });
+  const frameResults = await broadcastToAllFrames(tabId, {
+    action: "JOB_POSTING",
+  });
+  return pickJobPosting(
+    frameResults
+      .filter((fr) => fr.ok && fr.res?.ok)
+      .map((fr) => ({ frameId: fr.frameId, job: fr.res.job })),
+  );
+}
+
+// Templates: {{key}} placeholders, {{#key}}...{{/key}} only when key has a
+// value, {{^key}}...{{/key}} only when it is empty. Keys are the profile's
+// text fields plus company, position, location (from the posting) and today.
+const TEMPLATE_TARGETS = ["coverLetter", "summary"];
+const TEMPLATE_BLOCK = /\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/;
+
+function templateVars(profile, job, lang) {
+  const vars = {};
+  for (const [k, v] of Object.entries(profile || {})) {
+    if (typeof v === "string") vars[k] = v.trim();
+  }
+  vars.fullName =
+    vars.fullName || [vars.firstName, vars.lastName].filter(Boolean).join(" ");
+  vars.company = job?.company || "";
+  vars.position = job?.title || "";
+  vars.location = job?.location || "";
+  vars.today = new Date().toLocaleDateString(
+    lang === "en" ? "en-US" : "tr-TR",
+    { day: "numeric", month: "long", year: "numeric" },
+  );
+  return vars;
+}
+
+function renderTemplate(body, vars) {
+  let text = String(body || "");
+  // Outermost block first; its body is scanned again on the next round
+  for (let i = 0; i < 50 && TEMPLATE_BLOCK.test(text); i++) {
+    text = text.replace(TEMPLATE_BLOCK, (_, mode, key, inner) =>
+      !!vars[key] === (mode === "#") ? inner : "",
+    );
+  }
+  const missing = new Set();
+  text = text.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => {
+    if (!vars[key]) missing.add(key);
+    return vars[key] || "";
+  });
+  return {
+    text: text
+      .replace(/[ \t]+\n/g, "\n")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim(),
+    missing: [...missing],
+  };
+}
+
+// choice: template name, "" = none (static text), undefined = first one
+function pickTemplate(templates, target, choice) {
+  if (choice === "") return null;
+  const list = (templates || []).filter((t) => t.target === target && t.body);
+  if (choice == null) return list[0] || null;
+  return list.find((t) => t.name === choice) || null;
+}
+
+function applyTemplates(profile, job, choices = {}) {
+  const resolved = { ...profile };
+  const used = [];
+  for (const target of TEMPLATE_TARGETS) {
+    const tpl = pickTemplate(profile.templates, target, choices?.[target]);
+    if (!tpl) continue;
+    const { text, missing } = renderTemplate(
+      tpl.body,
+      templateVars(profile, job, tpl.lang),
+    );
+    resolved[target] = text;
+    used.push({ target, name: tpl.name, text, missing });
+  }
+  return { profile: resolved, templates: used };
+}
+
+// Application tracker, newest first; a refill of the same page (URL without
+// query/hash) with the same profile updates the entry instead of adding one:
+// [{ id, domain, url, pageTitle, jobTitle, company, profileId, profileName,
+//    location, status, notes, filled, createdAt, updatedAt }]
+const APPLICATION_STATUSES = ["applied", "interview", "offer", "rejected"];
+const APPLICATION_EDITABLE = [
+  "status",
+  "notes",
+  "jobTitle",
+  "company",
+  "location",
+];
+
+function applicationKey(url) {
+  try {
+    const u = new URL(url);
+    return u.origin + u.pathname;
+  } catch {
+    return url || "";
+  }
+}
+
+async function recordApplication(tab, summary, profileId, profileName) {
+  const job = summary.job || {};
+
+  const { applications } = await storageGet(["applications"]);
+  const list = applications || [];
+  const key = applicationKey(tab.url);
+  const now = new Date().toISOString();
+
+  let entry = list.find(
+    (a) => a.profileId === profileId && applicationKey(a.url) === key,
+  );
+  if (entry) {
+    entry.filled += summary.filled;
+    entry.jobTitle = entry.jobTitle || job.title || "";
+    entry.company = entry.company || job.company || "";
+    entry.location = entry.location || job.location || "";
+    entry.updatedAt = now;
+  } else {
+    entry = {
+      id: `a${Date.now().toString(36)}`,
+      domain: getDomainFromUrl(tab.url || ""),
+      url: tab.url || "",
+      pageTitle: tab.title || "",
+      jobTitle: job.title || "",
+      company: job.company || "",
+      location: job.location || "",
+      profileId,
+      profileName,
+      status: "applied",
+      notes: "",
+      filled: summary.filled,
+      createdAt: now,
+      updatedAt: now,
+    };
+    list.unshift(entry);
+  }
+  await storageSet({ applications: list });
+  return entry.id;
+}
+
+// Assist sessions live in session storage (cleared with the browser) so the
+// counter survives service worker restarts: { [tabId]: { startedAt, filled } }
+const ASSIST_KEY = "assistSessions";
+let assistQueue = Promise.resolve();
+
+// Serialized read-modify-write; frames report progress concurrently
+function updateAssistSessions(fn) {
+  assistQueue = assistQueue.then(
+    () =>
+      new Promise((resolve) => {
+        chrome.storage.session.get([ASSIST_KEY], (res) => {
+          withLastError("session.get");
+          const next = fn({ ...(res?.[ASSIST_KEY] || {}) });
+          chrome.storage.session.set({ [ASSIST_KEY]: next }, () => {
+            withLastError("session.set");
+            resolve(next);
+          });
+        });
+      }),
+  );
+  return assistQueue;
+}
+
+function endAssistSession(tabId) {
+  return updateAssistSessions((sessions) => {
+    delete sessions[tabId];
+    return sessions;
+  });
+}
+
+// Optional at-rest encryption. With a passphrase set, profiles are stored
+// only as vault: { v, iterations, salt, iv, data } (PBKDF2 -> AES-GCM).
+// Unlocking keeps the raw key in session storage (memory only) until the
+// lock time passes: { key, until }
+const VAULT_UNLOCK_KEY = "vaultUnlock";
+const VAULT_ITERATIONS = 250000;
+const MIN_PASSPHRASE_LENGTH = 8;
+const BUNDLE_FORMAT = "cv-asistan-encrypted";
+let vaultTimer = null;
+
+function sessionGet(keys) {
+  return new Promise((resolve) => {
+    chrome.storage.session.get(keys, (res) => {
+      withLastError("session.get");
+      resolve(res || {});
+    });
+  });
+}
+
+function sessionSet(obj) {
+  return new Promise((resolve) => {
+    chrome.storage.session.set(obj, () => {
+      withLastError("session.set");
+      resolve(true);
+    });
+  });
+}
+
+function sessionRemove(keys) {
+  return new Promise((resolve) => {
+    chrome.storage.session.remove(keys, () => {
+      withLastError("session.remove");
       resolve(true);
     });
   });
 }
 
+function toBase64(bytes) {
+  let bin = "";
+  for (const b of new Uint8Array(bytes)) bin += String.fromCharCode(b);
+  return btoa(bin);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+}
+
+function newKdf() {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  return { salt: toBase64(salt), iterations: VAULT_ITERATIONS };
+}
+
+async function deriveKey(passphrase, kdf) {
+  const base = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"],
+  );
+  return crypto.subtle.deriveKey(
+    {
+      name: "PBKDF2",
+      hash: "SHA-256",
+      salt: fromBase64(kdf.salt),
+      iterations: kdf.iterations,
+    },
+    base,
+    { name: "AES-GCM", length: 256 },
+    true,
+    ["encrypt", "decrypt"],
+  );
+}
+
+// Same record shape for the vault and for encrypted export bundles
+async function sealJson(key, kdf, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(value)),
+  );
+  return {
+    v: 1,
+    salt: kdf.salt,
+    iterations: kdf.iterations,
+    iv: toBase64(iv),
+    data: toBase64(data),
+  };
+}
+
+// Throws when the key is wrong (the GCM tag does not verify)
+async function openJson(key, record) {
+  const plain = await crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: fromBase64(record.iv) },
+    key,
+    fromBase64(record.data),
+  );
+  return JSON.parse(new TextDecoder().decode(plain));
+}
+
+// { key, value }, or null for a wrong passphrase
+async function openWithPassphrase(passphrase, record) {
+  const key = await deriveKey(String(passphrase || ""), record);
+  try {
+    return { key, value: await openJson(key, record) };
+  } catch {
+    return null;
+  }
+}
+
+function lockMinutes(settings) {
+  const n = Number(settings?.vault?.lockMinutes);
+  return n > 0 ? n : DEFAULTS.settings.vault.lockMinutes;
+}
+
+async function unlockVault(key, settings) {
+  const until = Date.now() + lockMinutes(settings) * 60000;
+  const raw = await crypto.subtle.exportKey("raw", key);
+  await sessionSet({ [VAULT_UNLOCK_KEY]: { key: toBase64(raw), until } });
+  // Best effort while the worker lives; unlockedKey() checks the time anyway
+  clearTimeout(vaultTimer);
+  vaultTimer = setTimeout(lockVault, until - Date.now());
+  return until;
+}
+
+async function lockVault() {
+  clearTimeout(vaultTimer);
+  await sessionRemove(VAULT_UNLOCK_KEY);
+}
+
+// { key, until }, or null when locked; an expired unlock is dropped here
+async function unlockedKey() {
+  const { [VAULT_UNLOCK_KEY]: unlock } = await sessionGet([VAULT_UNLOCK_KEY]);
+  if (!unlock) return null;
+  if (unlock.until <= Date.now()) {
+    await lockVault();
+    return null;
+  }
+  const key = await crypto.subtle.importKey(
+    "raw",
+    fromBase64(unlock.key),
+    "AES-GCM",
+    true,
+    ["encrypt", "decrypt"],
+  );
+  return { key, until: unlock.until };
+}
+
+function lockedError() {
+  const err = new Error("profiles are locked");
+  err.locked = true;
+  return err;
+}
+
+// storageGet that reads "profiles" out of the vault; throws while locked
+async function readStore(keys) {
+  const store = await storageGet([...keys, "vault"]);
+  if (store.vault && keys.includes("profiles")) {
+    const unlock = await unlockedKey();
+    if (!unlock) throw lockedError();
+    store.profiles = (await openJson(unlock.key, store.vault)).profiles;
+  }
+  return store;
+}
+
+async function writeProfiles(profiles, extra = {}) {
+  const { vault } = await storageGet(["vault"]);
+  if (!vault) {
+    await storageSet({ ...extra, profiles });
+    return;
+  }
+  const unlock = await unlockedKey();
+  if (!unlock) throw lockedError();
+  await storageSet({
+    ...extra,
+    vault: await sealJson(unlock.key, vault, { profiles }),
+  });
+}
+
+function normalizeProfiles(raw) {
+  const profiles = {};
+  for (const [id, entry] of Object.entries(raw || {})) {
+    if (!entry || typeof entry !== "object") continue;
+    profiles[id] = {
+      name: String(entry.name || id),
+      profile: { ...DEFAULTS.profile, ...(entry.profile || {}) },
+    };
+  }
+  return profiles;
+}
+
 async function ensureDefaults() {
-  const cur = await storageGet(["profile", "settings", "siteRules"]);
+  const cur = await storageGet([
+    "profile",
+    "profiles",
+    "activeProfileId",
+    "settings",
+    "siteRules",
+    "vault",
+  ]);
+
   const next = {
-    profile: { ...DEFAULTS.profile, ...(cur.profile || {}) },
     settings: { ...DEFAULTS.settings, ...(cur.settings || {}) },
     siteRules: { ...DEFAULTS.siteRules, ...(cur.siteRules || {}) },
   };
+
+  // An encrypted vault is only opened by the profile actions
+  if (!cur.vault) {
+    let profiles = normalizeProfiles(cur.profiles);
+    if (!Object.keys(profiles).length) {
+      // Single-profile storage from before personas
+      profiles = normalizeProfiles({
+        [DEFAULT_PROFILE_ID]: {
+          name: DEFAULT_PROFILE_NAME,
+          profile: cur.profile || {},
+        },
+      });
+    }
+    next.profiles = profiles;
+    next.activeProfileId = profiles[cur.activeProfileId]
+      ? cur.activeProfileId
+      : Object.keys(profiles)[0];
+  }
   await storageSet(next);
+  if (cur.profile) await storageRemove("profile");
   return next;
 }
 
+function listProfiles(profiles) {
+  return Object.entries(profiles || {}).map(([id, p]) => ({
+    id,
+    name: p.name,
+  }));
+}
+
+// First known id wins; falls back to the active profile
+function resolveProfileId(store, ...candidates) {
+  const known = candidates.find((id) => id && store.profiles?.[id]);
+  return known || store.activeProfileId;
+}
+
+function newProfileId(profiles, name) {
+  const base =
+    String(name || "profil")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "") || "profil";
+  let id = base;
+  for (let i = 2; profiles[id]; i++) id = `${base}-${i}`;
+  return id;
+}
+
 chrome.runtime.onInstalled.addListener(() => {
-  ensureDefaults().catch((e) => console.warn("[CV Asistan] init error", e));
+  ensureDefaults()
+    .then(rebuildContextMenu)
+    .catch((e) => console.warn("[CV Asistan] init error", e));
+});
+chrome.runtime.onStartup.addListener(() => rebuildContextMenu());
+
+// Menu titles follow the tab's profile and the vault lock
+chrome.storage.onChanged.addListener((changes, area) => {
+  const profileChanged =
+    area === "local" &&
+    (changes.profiles ||
+      changes.vault ||
+      changes.activeProfileId ||
+      changes.siteRules);
+  if (profileChanged || (area === "session" && changes[VAULT_UNLOCK_KEY])) {
+    rebuildContextMenu();
+  }
 });
 
+chrome.commands.onCommand.addListener((command, tab) => {
+  (async () =>
+    runCommand(command, tab?.id ? tab : await getActiveTab()))().catch((e) =>
+    console.warn("[CV Asistan] command error:", e),
+  );
+});
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  insertFromMenu(info, tab).catch((e) =>
+    console.warn("[CV Asistan] context menu error:", e),
+  );
+});
+
+// A full navigation unloads the content scripts, and with them the session
+chrome.webNavigation.onCommitted.addListener((details) => {
+  if (details.frameId !== 0) return;
+  endAssistSession(details.tabId);
+  rebuildContextMenu();
+});
+chrome.tabs.onActivated.addListener(() => rebuildContextMenu());
+chrome.tabs.onRemoved.addListener((tabId) => endAssistSession(tabId));
+
 async function getActiveTab() {
   const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
   return tabs && tabs[0] ? tabs[0] : null;
@@ -127,46 +683,94 @@ function isAllowedByRules(domain, siteRules) {
   return { allowed: true, reason: "default allow" };
 }
 
-async function getAllFrameIds(tabId) {
+// [{ frameId, url }]; the url names frames that never answer
+async function getAllFrames(tabId) {
   // Needs "webNavigation" permission
   return new Promise((resolve) => {
     chrome.webNavigation.getAllFrames({ tabId }, (frames) => {
       withLastError("webNavigation.getAllFrames");
-      const ids = (frames || [])
-        .map((f) => f.frameId)
-        .filter((v) => typeof v === "number");
+      const byId = new Map();
+      for (const f of frames || []) {
+        if (typeof f.frameId === "number" && !byId.has(f.frameId)) {
+          byId.set(f.frameId, { frameId: f.frameId, url: f.url || "" });
+        }
+      }
       // Ensure top frame 0 exists
-      if (!ids.includes(0)) ids.unshift(0);
-      resolve(Array.from(new Set(ids)));
+      if (!byId.has(0)) byId.set(0, { frameId: 0, url: "" });
+      resolve([...byId.values()].sort((a, b) => a.frameId - b.frameId));
     });
   });
 }
 
-async function sendToFrame(tabId, frameId, msg) {
+// Nothing is declared in the manifest: the scripts go into a frame when
+// the user starts something there. activeTab covers the clicked tab; other
+// origins' frames need the optional <all_urls> grant.
+const CONTENT_FILES = ["utils.js", "content.js"];
+// Actions that start work in a frame; the rest only reach frames that
+// already have the scripts
+const INJECTING_ACTIONS = new Set([
+  "FILL_FORM",
+  "PING",
+  "TEACH_START",
+  "INSERT_VALUE",
+]);
+
+function messageFrame(tabId, frameId, msg) {
   return new Promise((resolve) => {
     chrome.tabs.sendMessage(tabId, msg, { frameId }, (res) => {
-      const err = withLastError("tabs.sendMessage");
+      // Frames without the scripts are normal now; reported, not logged
+      const err = chrome.runtime.lastError;
       if (err) return resolve({ ok: false, frameId, error: err.message });
       resolve({ ok: true, frameId, res });
     });
   });
 }
 
+// A frame that answers keeps its state (assist, undo, review); otherwise
+// inject. Returns an error message, or null when the frame is ready.
+async function ensureInjected(tabId, frameId) {
+  const ping = await messageFrame(tabId, frameId, { action: "PING" });
+  if (ping.ok) return null;
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId, frameIds: [frameId] },
+      files: CONTENT_FILES,
+    });
+    return null;
+  } catch (e) {
+    return `no access: ${e?.message || e}`;
+  }
+}
+
+async function sendToFrame(tabId, frameId, msg) {
+  if (INJECTING_ACTIONS.has(msg.action)) {
+    const error = await ensureInjected(tabId, frameId);
+    if (error) return { ok: false, frameId, error };
+  }
+  return messageFrame(tabId, frameId, msg);
+}
+
 async function broadcastToAllFrames(tabId, msg) {
-  let frameIds = [];
+  let frames = [];
   try {
-    frameIds = await getAllFrameIds(tabId);
+    frames = await getAllFrames(tabId);
   } catch {
-    frameIds = [0];
+    frames = [{ frameId: 0, url: "" }];
   }
 
   const results = await Promise.allSettled(
-    frameIds.map((fid) => sendToFrame(tabId, fid, msg)),
+    frames.map((f) => sendToFrame(tabId, f.frameId, msg)),
   );
 
   const normalized = results.map((r, idx) => {
-    if (r.status === "fulfilled") return r.value;
-    return { ok: false, frameId: frameIds[idx], error: String(r.reason) };
+    const url = frames[idx].url;
+    if (r.status === "fulfilled") return { ...r.value, url };
+    return {
+      ok: false,
+      frameId: frames[idx].frameId,
+      url,
+      error: String(r.reason),
+    };
   });
 
   return normalized;
@@ -178,32 +782,511 @@ function summarizeFillResults(frameResults) {
     filled: 0,
     skipped: 0,
     errors: 0,
+    widgetErrors: 0, // dropdown widgets that could not be driven
+    widgetFailures: [], // { type, reason }
+    lost: [], // { type, label }: fields whose type went to a better match
+    aiQuestions: 0,
+    review: 0, // planned writes waiting in the in-page panel
+    unmatchedQuestions: [],
+    adapters: [], // ATS adapters that recognized a frame
+    job: null, // best job posting across frames
     reports: [],
+    failedFrames: [], // { frameId, url, error }: no answer or no access
   };
+  const seenQuestions = new Set();
 
   for (const fr of frameResults) {
-    if (!fr.ok) {
-      summary.errors++;
+    if (!fr.ok || !fr.res?.ok) {
+      summary.failedFrames.push({
+        frameId: fr.frameId,
+        url: fr.res?.href || fr.url || "",
+        error: fr.error || fr.res?.error || "no response",
+      });
       continue;
     }
     const payload = fr.res;
-    if (!payload || !payload.ok) {
-      summary.errors++;
-      continue;
-    }
     summary.framesResponded++;
     const rep = payload.report;
     if (rep?.stats) {
       summary.filled += rep.stats.filled || 0;
       summary.skipped += rep.stats.skipped || 0;
       summary.errors += rep.stats.errors || 0;
-      summary.reports.push(rep);
+      summary.widgetErrors += rep.stats.widgetErrors || 0;
+      for (const item of rep.items || []) {
+        if (item.widget && item.action === "error") {
+          summary.widgetFailures.push({ type: item.type, reason: item.reason });
+        }
+        if (item.action === "lost") {
+          summary.lost.push({ type: item.type, label: item.label });
+        }
+      }
+      summary.review += rep.review || 0;
+      summary.aiQuestions += Math.min(
+        (rep.aiQuestions || []).length,
+        AI_MAX_QUESTIONS,
+      );
+      for (const q of rep.unmatchedQuestions || []) {
+        const key = q.question.toLowerCase();
+        if (seenQuestions.has(key)) continue;
+        if (summary.unmatchedQuestions.length >= MAX_UNMATCHED_QUESTIONS) break;
+        seenQuestions.add(key);
+        summary.unmatchedQuestions.push(q);
+      }
+      if (
+        rep.adapter &&
+        !summary.adapters.some((a) => a.id === rep.adapter.id)
+      ) {
+        summary.adapters.push(rep.adapter);
+      }
+      // frameId lets the popup target one frame (e.g. single-field undo)
+      summary.reports.push({ ...rep, frameId: fr.frameId });
     }
   }
+  summary.job = pickJobPosting(summary.reports);
   return summary;
 }
 
-chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
+function buildAiMessages(profile, question, jobText) {
+  const facts = {};
+  for (const k of AI_PROFILE_FIELDS) {
+    const v = profile?.[k];
+    if (Array.isArray(v) ? v.length : v) facts[k] = v;
+  }
+  return [
+    {
+      role: "system",
+      content:
+        "You draft answers to job application questions for the applicant. " +
+        "Answer in the language of the question, in the first person, in " +
+        "60-150 words. Use only facts from the profile and the job posting. " +
+        "Output only the answer text.",
+    },
+    {
+      role: "user",
+      content:
+        `Question: ${question}\n\n` +
+        `Job posting:\n${jobText || "(not found)"}\n\n` +
+        `Applicant profile (JSON):\n${JSON.stringify(facts, null, 2)}`,
+    },
+  ];
+}
+
+async function draftAiAnswer(ai, profile, question, jobText) {
+  const url = `${String(ai.baseUrl || "").replace(/\/+$/, "")}/chat/completions`;
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), AI_TIMEOUT_MS);
+  try {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(ai.apiKey ? { Authorization: `Bearer ${ai.apiKey}` } : {}),
+      },
+      body: JSON.stringify({
+        model: ai.model,
+        messages: buildAiMessages(profile, question, jobText),
+        temperature: 0.4,
+      }),
+      signal: ctrl.signal,
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const data = await res.json();
+    const text = String(data?.choices?.[0]?.message?.content || "").trim();
+    if (!text) throw new Error("empty answer");
+    return text;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Drafts go back to the asking frame for approval; nothing is written or
+// submitted without a click on the page.
+async function deliverAiDrafts(tabId, frameResults, profile, ai, job) {
+  const reports = frameResults
+    .filter((fr) => fr.ok && fr.res?.ok)
+    .map((fr) => ({ frameId: fr.frameId, report: fr.res.report || {} }));
+  const jobText = jobPostingText(job);
+
+  for (const { frameId, report } of reports) {
+    const questions = (report.aiQuestions || []).slice(0, AI_MAX_QUESTIONS);
+    if (!questions.length) continue;
+
+    const drafts = [];
+    for (const q of questions) {
+      try {
+        const text = await draftAiAnswer(ai, profile, q.question, jobText);
+        drafts.push({ id: q.id, question: q.question, text });
+      } catch (e) {
+        drafts.push({ id: q.id, question: q.question, error: String(e) });
+      }
+    }
+    await sendToFrame(tabId, frameId, { action: "AI_DRAFTS", drafts });
+  }
+}
+
+// One fill of every frame in the tab; shared by the popup and shortcuts.
+// focused: only the field that has focus (no assist, no tracker entry)
+async function fillTab(tab, request) {
+  const store = await readStore([
+    "profiles",
+    "activeProfileId",
+    "settings",
+    "siteRules",
+    "files",
+  ]);
+  const { settings, siteRules, files } = store;
+  const domain = getDomainFromUrl(tab.url || "");
+  const allow = isAllowedByRules(domain, siteRules || DEFAULTS.siteRules);
+  if (!allow.allowed) {
+    return {
+      ok: false,
+      blocked: true,
+      reason: allow.reason,
+      domain,
+    };
+  }
+
+  // Determine enabledTypes based on site rule (optional)
+  const domainRule = siteRules?.domains?.[domain] || null;
+  let enabledTypes = null;
+
+  if (domainRule?.enabledTypes?.length)
+    enabledTypes = domainRule.enabledTypes.slice();
+  if (domainRule?.disabledTypes?.length) {
+    // If both exist, remove disabled from enabled or from defaults on content side
+    // Here we pass disabledTypes as hint too.
+  }
+
+  // Explicit pick (popup) > domain default > active profile
+  const profileId = resolveProfileId(
+    store,
+    request.profileId,
+    domainRule?.profile,
+  );
+  const profile = store.profiles[profileId].profile;
+
+  // Templates are resolved against the posting on this page
+  let fillProfile = profile;
+  let templates = [];
+  if (profile.templates?.length) {
+    const job = await detectJobPosting(tab.id, true);
+    ({ profile: fillProfile, templates } = applyTemplates(
+      profile,
+      job,
+      request.templates,
+    ));
+  }
+
+  const msg = {
+    action: "FILL_FORM",
+    assist: !!request.assist,
+    focused: !!request.focused,
+    profile: fillProfile,
+    settings: settings || DEFAULTS.settings,
+    // Files without a profile are shared by all profiles
+    files: (files || []).filter(
+      (f) => !f.profileId || f.profileId === profileId,
+    ),
+    options: {
+      enabledTypes,
+      disabledTypes: domainRule?.disabledTypes || [],
+      customMap: domainRule?.customMap || null,
+    },
+  };
+
+  // Opened before the broadcast so early frame progress is counted
+  if (request.assist) {
+    await updateAssistSessions((all) => {
+      all[tab.id] = {
+        startedAt: Date.now(),
+        lastAt: Date.now(),
+        filled: 0,
+      };
+      return all;
+    });
+  }
+
+  const frameResults = await broadcastToAllFrames(tab.id, msg);
+  const summary = summarizeFillResults(frameResults);
+
+  let session = null;
+  if (request.assist) {
+    const sessions = await updateAssistSessions((all) => {
+      if (all[tab.id]) all[tab.id].filled += summary.filled;
+      return all;
+    });
+    session = sessions[tab.id] || null;
+  }
+
+  // Review mode writes later from the page; it is still an application
+  let applicationId = null;
+  if (!request.focused && (summary.filled || summary.review)) {
+    applicationId = await recordApplication(
+      tab,
+      summary,
+      profileId,
+      store.profiles[profileId].name,
+    );
+  }
+
+  const ai = settings?.ai;
+  if (ai?.enabled && ai.baseUrl && ai.model && summary.aiQuestions) {
+    deliverAiDrafts(tab.id, frameResults, profile, ai, summary.job).catch((e) =>
+      console.warn("[CV Asistan] AI drafts error:", e),
+    );
+  }
+
+  return {
+    ok: true,
+    domain,
+    allow: allow.reason,
+    profileId,
+    profileName: store.profiles[profileId].name,
+    summary,
+    session,
+    applicationId,
+    templates: templates.map(({ target, name, missing }) => ({
+      target,
+      name,
+      missing,
+    })),
+  };
+}
+
+// No frameId broadcasts: each frame undoes its latest fill
+async function undoTab(tabId, request) {
+  const msg = { action: "UNDO_FILL", undoId: request.undoId ?? null };
+  const frameResults =
+    request.frameId != null
+      ? [await sendToFrame(tabId, request.frameId, msg)]
+      : await broadcastToAllFrames(tabId, msg);
+
+  let undone = 0;
+  const errors = [];
+  for (const fr of frameResults) {
+    if (!fr.ok || !fr.res?.ok) continue;
+    undone += fr.res.undone || 0;
+    errors.push(...(fr.res.errors || []));
+  }
+  return { ok: true, undone, errors };
+}
+
+// ---- Keyboard commands and the context menu ----
+
+const BADGE_MS = 4000;
+const BADGE_OK = "#5b8cff";
+const BADGE_ERROR = "#ff5b6e";
+
+// Context menu titles, in the order of the options form
+const PROFILE_LABELS = {
+  firstName: "Ad",
+  lastName: "Soyad",
+  fullName: "Ad Soyad",
+  email: "E-posta",
+  phone: "Telefon",
+  website: "Website / Portfolio",
+  addressLine: "Adres",
+  addressLine2: "Adres (satır 2)",
+  neighbourhood: "Mahalle",
+  district: "İlçe",
+  city: "Şehir / İl",
+  state: "İl / Eyalet",
+  postalCode: "Posta Kodu",
+  country: "Ülke",
+  dateOfBirth: "Doğum Tarihi",
+  linkedin: "LinkedIn",
+  github: "GitHub",
+  graduationYear: "Mezuniyet Yılı",
+  experienceYears: "Tecrübe Yılı",
+  salaryExpectation: "Maaş Beklentisi",
+  summary: "Özet / Hakkımda",
+  coverLetter: "Ön Yazı",
+};
+const MENU_ROOT = "cva-insert";
+const MENU_QA_TITLE_MAX = 48;
+let menuQueue = Promise.resolve();
+
+// Shortcuts have no popup to report to; a short badge on the icon does
+function flashBadge(tabId, text, title, color = BADGE_OK) {
+  chrome.action.setBadgeBackgroundColor({ tabId, color });
+  chrome.action.setBadgeText({ tabId, text });
+  chrome.action.setTitle({ tabId, title: `CV Asistan: ${title}` });
+  setTimeout(() => {
+    chrome.action.setBadgeText({ tabId, text: "" });
+    chrome.action.setTitle({ tabId, title: "CV Asistan" });
+  }, BADGE_MS);
+}
+
+function badgeFill(tabId, res, focused) {
+  if (res.blocked) {
+    flashBadge(tabId, "!", `bu sitede engelli (${res.reason})`, BADGE_ERROR);
+    return;
+  }
+  const { filled, review, reports } = res.summary;
+  if (focused && !reports.length) {
+    flashBadge(tabId, "?", "doldurulabilir odaklı alan yok", BADGE_ERROR);
+    return;
+  }
+  flashBadge(
+    tabId,
+    String(filled + review),
+    review
+      ? `${review} öneri sayfada onay bekliyor`
+      : `${filled} alan dolduruldu`,
+  );
+}
+
+async function runCommand(command, tab) {
+  if (!tab?.id) return;
+  try {
+    if (command === "fill-form" || command === "fill-field") {
+      const focused = command === "fill-field";
+      badgeFill(tab.id, await fillTab(tab, { focused }), focused);
+    } else if (command === "undo-fill") {
+      const res = await undoTab(tab.id, {});
+      flashBadge(tab.id, String(res.undone), `${res.undone} alan geri alındı`);
+    }
+  } catch (e) {
+    if (!e?.locked) throw e;
+    flashBadge(tab.id, "!", "profil kilitli; popup’tan aç", BADGE_ERROR);
+  }
+}
+
+function menuCreate(props) {
+  return new Promise((resolve) => {
+    chrome.contextMenus.create({ contexts: ["editable"], ...props }, () => {
+      withLastError("contextMenus.create");
+      resolve();
+    });
+  });
+}
+
+// The top frame's URL; webNavigation needs no "tabs" permission for it
+function tabDomain(tabId) {
+  return new Promise((resolve) => {
+    chrome.webNavigation.getFrame({ tabId, frameId: 0 }, (frame) => {
+      void chrome.runtime.lastError;
+      resolve(getDomainFromUrl(frame?.url || ""));
+    });
+  });
+}
+
+// Built from the active tab's profile (domain default, else the active
+// one): every profile key (empty ones disabled), then the Q&A bank answers.
+// Item ids carry that profile's id so a click reads the same profile.
+// Titles never carry profile values.
+function rebuildContextMenu() {
+  menuQueue = menuQueue
+    .then(async () => {
+      await new Promise((resolve) => chrome.contextMenus.removeAll(resolve));
+      await menuCreate({ id: MENU_ROOT, title: "Profil değeri ekle" });
+
+      let profile = null;
+      let profileId = "";
+      try {
+        const store = await readStore([
+          "profiles",
+          "activeProfileId",
+          "siteRules",
+        ]);
+        const tab = await getActiveTab();
+        const domain = tab?.id ? await tabDomain(tab.id) : "";
+        profileId = resolveProfileId(
+          store,
+          store.siteRules?.domains?.[domain]?.profile,
+        );
+        profile = store.profiles?.[profileId]?.profile || {};
+      } catch (e) {
+        if (!e?.locked) throw e;
+        await menuCreate({
+          id: `${MENU_ROOT}:locked`,
+          parentId: MENU_ROOT,
+          title: "Profil kilitli (popup’tan kilidi aç)",
+          enabled: false,
+        });
+        return;
+      }
+
+      for (const [key, label] of Object.entries(PROFILE_LABELS)) {
+        await menuCreate({
+          id: `${MENU_ROOT}:key:${key}:${profileId}`,
+          parentId: MENU_ROOT,
+          title: label,
+          enabled: !!String(profile[key] || "").trim(),
+        });
+      }
+
+      const answers = (profile.qaBank || [])
+        .map((entry, i) => ({ i, question: entry.questions?.[0] || "" }))
+        .filter(({ i }) => String(profile.qaBank[i].answer || "").trim());
+      if (!answers.length) return;
+      await menuCreate({
+        id: `${MENU_ROOT}:sep`,
+        parentId: MENU_ROOT,
+        type: "separator",
+      });
+      for (const { i, question } of answers) {
+        const short =
+          question.length > MENU_QA_TITLE_MAX
+            ? question.slice(0, MENU_QA_TITLE_MAX - 1) + "…"
+            : question;
+        await menuCreate({
+          id: `${MENU_ROOT}:qa:${i}:${profileId}`,
+          parentId: MENU_ROOT,
+          title: `Soru-Cevap: ${short || i + 1}`,
+        });
+      }
+    })
+    .catch((e) => console.warn("[CV Asistan] context menu error:", e));
+  return menuQueue;
+}
+
+// The frame gets the value; it checks the right-clicked field is allowed.
+// Site rules apply as in fillTab; the value comes from the profile the menu
+// was built from (the domain default when it was current).
+async function insertFromMenu(info, tab) {
+  const [root, kind, ref, menuProfileId] = String(info.menuItemId).split(":");
+  if (root !== MENU_ROOT || !tab?.id) return;
+
+  let store;
+  try {
+    store = await readStore(["profiles", "activeProfileId", "siteRules"]);
+  } catch (e) {
+    if (!e?.locked) throw e;
+    flashBadge(tab.id, "!", "profil kilitli; popup’tan aç", BADGE_ERROR);
+    return;
+  }
+  const { siteRules } = store;
+  const domain = getDomainFromUrl(tab.url || "");
+  const allow = isAllowedByRules(domain, siteRules || DEFAULTS.siteRules);
+  if (!allow.allowed) {
+    flashBadge(tab.id, "!", `bu sitede engelli (${allow.reason})`, BADGE_ERROR);
+    return;
+  }
+  const profileId = resolveProfileId(
+    store,
+    menuProfileId,
+    siteRules?.domains?.[domain]?.profile,
+  );
+  const profile = store.profiles[profileId].profile;
+
+  const value =
+    kind === "qa" ? profile.qaBank?.[Number(ref)]?.answer : profile[ref];
+  if (!String(value || "").trim()) return;
+
+  const sent = await sendToFrame(tab.id, info.frameId ?? 0, {
+    action: "INSERT_VALUE",
+    value: String(value),
+    type: kind === "qa" ? "qa" : ref,
+    country: profile.country || "",
+  });
+  if (!sent.ok || !sent.res?.ok) {
+    const reason = sent.res?.error || sent.error || "hata";
+    flashBadge(tab.id, "!", `eklenemedi (${reason})`, BADGE_ERROR);
+  }
+}
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   (async () => {
     try {
       await ensureDefaults();
@@ -211,22 +1294,238 @@ chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
       if (!request || !request.action) return;
 
       if (request.action === "GET_PROFILE") {
-        const { profile, settings, siteRules } = await storageGet([
-          "profile",
+        const store = await readStore([
+          "profiles",
+          "activeProfileId",
           "settings",
           "siteRules",
         ]);
-        sendResponse({ ok: true, profile, settings, siteRules });
+        const profileId = resolveProfileId(store, request.profileId);
+        sendResponse({
+          ok: true,
+          profileId,
+          profile: store.profiles[profileId].profile,
+          profiles: listProfiles(store.profiles),
+          activeProfileId: store.activeProfileId,
+          settings: store.settings,
+          siteRules: store.siteRules,
+        });
         return;
       }
 
       if (request.action === "SET_PROFILE") {
-        const nextProfile = request.profile || {};
-        await storageSet({ profile: nextProfile });
+        const store = await readStore(["profiles", "activeProfileId"]);
+        const profileId = resolveProfileId(store, request.profileId);
+        const cur = store.profiles[profileId];
+        store.profiles[profileId] = {
+          name: String(request.name || cur.name),
+          profile: request.profile || {},
+        };
+        await writeProfiles(store.profiles);
+        sendResponse({ ok: true, profileId });
+        return;
+      }
+
+      if (request.action === "PROFILES_CREATE") {
+        const store = await readStore(["profiles", "activeProfileId"]);
+        const name = String(request.name || "").trim() || "Yeni profil";
+        const profileId = newProfileId(store.profiles, name);
+        const source = store.profiles[request.copyFrom];
+        store.profiles[profileId] = {
+          name,
+          profile: { ...DEFAULTS.profile, ...(source?.profile || {}) },
+        };
+        await writeProfiles(store.profiles);
+        sendResponse({ ok: true, profileId });
+        return;
+      }
+
+      if (request.action === "PROFILES_DELETE") {
+        const store = await readStore(["profiles", "activeProfileId"]);
+        const ids = Object.keys(store.profiles);
+        if (!store.profiles[request.profileId] || ids.length < 2) {
+          sendResponse({ ok: false, error: "cannot delete last profile" });
+          return;
+        }
+        delete store.profiles[request.profileId];
+        const activeProfileId =
+          store.activeProfileId === request.profileId
+            ? Object.keys(store.profiles)[0]
+            : store.activeProfileId;
+        await writeProfiles(store.profiles, { activeProfileId });
+        sendResponse({ ok: true, activeProfileId });
+        return;
+      }
+
+      if (request.action === "SET_ACTIVE_PROFILE") {
+        const store = await readStore(["profiles"]);
+        if (!store.profiles?.[request.profileId]) {
+          sendResponse({ ok: false, error: "unknown profile" });
+          return;
+        }
+        await storageSet({ activeProfileId: request.profileId });
+        sendResponse({ ok: true });
+        return;
+      }
+
+      if (request.action === "PROFILES_GET_ALL") {
+        const { profiles, activeProfileId } = await readStore([
+          "profiles",
+          "activeProfileId",
+        ]);
+        sendResponse({ ok: true, profiles, activeProfileId });
+        return;
+      }
+
+      if (request.action === "PROFILES_SET_ALL") {
+        const profiles = normalizeProfiles(request.profiles);
+        if (!Object.keys(profiles).length) {
+          sendResponse({ ok: false, error: "no profiles" });
+          return;
+        }
+        const activeProfileId = profiles[request.activeProfileId]
+          ? request.activeProfileId
+          : Object.keys(profiles)[0];
+        await writeProfiles(profiles, { activeProfileId });
         sendResponse({ ok: true });
         return;
       }
 
+      if (request.action === "QA_ADD") {
+        const question = String(request.question || "").trim();
+        const answer = String(request.answer || "").trim();
+        if (!question || !answer) {
+          sendResponse({ ok: false, error: "question and answer required" });
+          return;
+        }
+        const store = await readStore(["profiles", "activeProfileId"]);
+        const id = resolveProfileId(store, request.profileId);
+        const entry = store.profiles[id];
+        const qaBank = [
+          ...(entry.profile.qaBank || []),
+          {
+            questions: [question],
+            answer,
+            kind: QA_KINDS.includes(request.kind) ? request.kind : "text",
+          },
+        ];
+        const profiles = {
+          ...store.profiles,
+          [id]: { ...entry, profile: { ...entry.profile, qaBank } },
+        };
+        await writeProfiles(profiles);
+        sendResponse({ ok: true, profileId: id, count: qaBank.length });
+        return;
+      }
+
+      if (request.action === "SETTINGS_GET") {
+        const { settings, siteRules } = await storageGet([
+          "settings",
+          "siteRules",
+        ]);
+        sendResponse({ ok: true, settings, siteRules });
+        return;
+      }
+
+      if (request.action === "VAULT_STATUS") {
+        const { vault } = await storageGet(["vault"]);
+        const unlock = vault ? await unlockedKey() : null;
+        sendResponse({
+          ok: true,
+          enabled: !!vault,
+          unlocked: !vault || !!unlock,
+          until: unlock?.until || null,
+        });
+        return;
+      }
+
+      if (request.action === "VAULT_ENABLE") {
+        const passphrase = String(request.passphrase || "");
+        if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+          sendResponse({ ok: false, error: "passphrase too short" });
+          return;
+        }
+        const store = await readStore(["profiles", "settings"]);
+        if (store.vault) {
+          sendResponse({ ok: false, error: "already encrypted" });
+          return;
+        }
+        const kdf = newKdf();
+        const key = await deriveKey(passphrase, kdf);
+        await storageSet({
+          vault: await sealJson(key, kdf, { profiles: store.profiles }),
+        });
+        await storageRemove("profiles");
+        const until = await unlockVault(key, store.settings);
+        sendResponse({ ok: true, until });
+        return;
+      }
+
+      if (
+        request.action === "VAULT_UNLOCK" ||
+        request.action === "VAULT_DISABLE"
+      ) {
+        const { vault, settings } = await storageGet(["vault", "settings"]);
+        if (!vault) {
+          sendResponse({ ok: false, error: "not encrypted" });
+          return;
+        }
+        const opened = await openWithPassphrase(request.passphrase, vault);
+        if (!opened) {
+          sendResponse({ ok: false, error: "wrong passphrase" });
+          return;
+        }
+        if (request.action === "VAULT_UNLOCK") {
+          const until = await unlockVault(opened.key, settings);
+          sendResponse({ ok: true, until });
+          return;
+        }
+        await storageSet({ profiles: opened.value.profiles });
+        await storageRemove("vault");
+        await lockVault();
+        sendResponse({ ok: true });
+        return;
+      }
+
+      if (request.action === "VAULT_LOCK") {
+        await lockVault();
+        sendResponse({ ok: true });
+        return;
+      }
+
+      if (request.action === "BACKUP_SEAL") {
+        const passphrase = String(request.passphrase || "");
+        if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+          sendResponse({ ok: false, error: "passphrase too short" });
+          return;
+        }
+        const kdf = newKdf();
+        const key = await deriveKey(passphrase, kdf);
+        const bundle = {
+          format: BUNDLE_FORMAT,
+          ...(await sealJson(key, kdf, request.data || {})),
+        };
+        sendResponse({ ok: true, bundle });
+        return;
+      }
+
+      if (request.action === "BACKUP_OPEN") {
+        if (request.bundle?.format !== BUNDLE_FORMAT) {
+          sendResponse({ ok: false, error: "not an encrypted bundle" });
+          return;
+        }
+        const opened = await openWithPassphrase(
+          request.passphrase,
+          request.bundle,
+        );
+        if (!opened) {
+          sendResponse({ ok: false, error: "wrong passphrase" });
+          return;
+        }
+        sendResponse({ ok: true, data: opened.value });
+        return;
+      }
+
       if (request.action === "SET_SETTINGS") {
         const nextSettings = request.settings || {};
         await storageSet({ settings: nextSettings });
@@ -247,6 +1546,51 @@ chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
         return;
       }
 
+      if (request.action === "FILES_GET") {
+        const { files } = await storageGet(["files"]);
+        // Metadata only; the data URLs stay in storage
+        const list = (files || []).map(({ dataUrl, ...meta }) => meta);
+        sendResponse({ ok: true, files: list });
+        return;
+      }
+
+      if (request.action === "FILES_ADD") {
+        const file = request.file || {};
+        if (!FILE_KINDS.includes(file.kind) || !file.dataUrl || !file.name) {
+          sendResponse({ ok: false, error: "invalid file" });
+          return;
+        }
+        if (file.size > MAX_FILE_BYTES) {
+          sendResponse({ ok: false, error: "file too large" });
+          return;
+        }
+        const { files } = await storageGet(["files"]);
+        const entry = {
+          id: `f${Date.now().toString(36)}`,
+          kind: file.kind,
+          profileId: file.profileId || "", // "" = all profiles
+          name: String(file.name),
+          type: String(file.type || "application/octet-stream"),
+          size: Number(file.size) || 0,
+          dataUrl: file.dataUrl,
+          addedAt: new Date().toISOString(),
+        };
+        if (!(await storageSet({ files: [...(files || []), entry] }))) {
+          sendResponse({ ok: false, error: "storage failed" });
+          return;
+        }
+        sendResponse({ ok: true, id: entry.id });
+        return;
+      }
+
+      if (request.action === "FILES_REMOVE") {
+        const { files } = await storageGet(["files"]);
+        const next = (files || []).filter((f) => f.id !== request.id);
+        await storageSet({ files: next });
+        sendResponse({ ok: true });
+        return;
+      }
+
       if (request.action === "TOGGLE_DEBUG") {
         const { settings } = await storageGet(["settings"]);
         const next = {
@@ -279,61 +1623,188 @@ chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
         return;
       }
 
-      if (request.action === "FILL_FORM") {
+      if (request.action === "APPLICATIONS_GET") {
+        const { applications } = await storageGet(["applications"]);
+        sendResponse({
+          ok: true,
+          applications: applications || [],
+          statuses: APPLICATION_STATUSES,
+        });
+        return;
+      }
+
+      if (request.action === "APPLICATIONS_UPDATE") {
+        const { applications } = await storageGet(["applications"]);
+        const list = applications || [];
+        const entry = list.find((a) => a.id === request.id);
+        if (!entry) {
+          sendResponse({ ok: false, error: "unknown application" });
+          return;
+        }
+        const patch = request.patch || {};
+        if (patch.status && !APPLICATION_STATUSES.includes(patch.status)) {
+          sendResponse({ ok: false, error: "invalid status" });
+          return;
+        }
+        for (const key of APPLICATION_EDITABLE) {
+          if (key in patch) entry[key] = String(patch[key] ?? "");
+        }
+        entry.updatedAt = new Date().toISOString();
+        await storageSet({ applications: list });
+        sendResponse({ ok: true, application: entry });
+        return;
+      }
+
+      if (request.action === "APPLICATIONS_REMOVE") {
+        const { applications } = await storageGet(["applications"]);
+        const next = (applications || []).filter((a) => a.id !== request.id);
+        await storageSet({ applications: next });
+        sendResponse({ ok: true });
+        return;
+      }
+
+      if (request.action === "JOB_GET") {
         const tab = await getActiveTab();
         if (!tab?.id) {
           sendResponse({ ok: false, error: "No active tab" });
           return;
         }
+        const job = await detectJobPosting(tab.id);
+        sendResponse({ ok: true, job });
+        return;
+      }
 
-        const { profile, settings, siteRules } = await storageGet([
-          "profile",
-          "settings",
-          "siteRules",
-        ]);
-        const domain = getDomainFromUrl(tab.url || "");
-        const allow = isAllowedByRules(domain, siteRules || DEFAULTS.siteRules);
-        if (!allow.allowed) {
-          sendResponse({
-            ok: false,
-            blocked: true,
-            reason: allow.reason,
-            domain,
-          });
+      if (request.action === "TEMPLATE_PREVIEW") {
+        const store = await readStore(["profiles", "activeProfileId"]);
+        const id = resolveProfileId(store, request.profileId);
+        const profile = store.profiles[id].profile;
+        const available = (profile.templates || [])
+          .filter((t) => TEMPLATE_TARGETS.includes(t.target) && t.body)
+          .map(({ name, target }) => ({ name, target }));
+        if (!available.length) {
+          sendResponse({ ok: true, available, templates: [] });
+          return;
+        }
+        const tab = await getActiveTab();
+        const job = tab?.id ? await detectJobPosting(tab.id) : null;
+        const { templates } = applyTemplates(profile, job, request.templates);
+        sendResponse({ ok: true, available, templates, job });
+        return;
+      }
+
+      if (request.action === "FLASH_FIELD") {
+        const tab = await getActiveTab();
+        if (!tab?.id) {
+          sendResponse({ ok: false, error: "No active tab" });
+          return;
+        }
+        const sent = await sendToFrame(tab.id, request.frameId ?? 0, {
+          action: "FLASH_FIELD",
+          ref: request.ref,
+        });
+        sendResponse(sent.ok ? sent.res : { ok: false, error: sent.error });
+        return;
+      }
+
+      if (request.action === "UNDO_FILL") {
+        const tab = await getActiveTab();
+        if (!tab?.id) {
+          sendResponse({ ok: false, error: "No active tab" });
           return;
         }
+        sendResponse(await undoTab(tab.id, request));
+        return;
+      }
 
-        // Determine enabledTypes based on site rule (optional)
-        const domainRule = siteRules?.domains?.[domain] || null;
-        let enabledTypes = null;
+      if (request.action === "ASSIST_PROGRESS") {
+        const tabId = sender?.tab?.id;
+        const sessions = await updateAssistSessions((all) => {
+          if (all[tabId]) {
+            all[tabId].filled += Number(request.filled) || 0;
+            all[tabId].lastAt = Date.now();
+          }
+          return all;
+        });
+        sendResponse({ ok: true, session: sessions[tabId] || null });
+        return;
+      }
+
+      if (request.action === "ASSIST_STATUS") {
+        const tab = await getActiveTab();
+        const sessions = await updateAssistSessions((all) => all);
+        sendResponse({ ok: true, session: sessions[tab?.id] || null });
+        return;
+      }
 
-        if (domainRule?.enabledTypes?.length)
-          enabledTypes = domainRule.enabledTypes.slice();
-        if (domainRule?.disabledTypes?.length) {
-          // If both exist, remove disabled from enabled or from defaults on content side
-          // Here we pass disabledTypes as hint too.
+      if (request.action === "ASSIST_STOP") {
+        const tab = await getActiveTab();
+        if (!tab?.id) {
+          sendResponse({ ok: false, error: "No active tab" });
+          return;
         }
+        await broadcastToAllFrames(tab.id, { action: "ASSIST_STOP" });
+        const sessions = await updateAssistSessions((all) => all);
+        const session = sessions[tab.id] || null;
+        await endAssistSession(tab.id);
+        sendResponse({ ok: true, session });
+        return;
+      }
 
-        const msg = {
-          action: "FILL_FORM",
-          profile: profile || DEFAULTS.profile,
-          settings: settings || DEFAULTS.settings,
-          options: {
-            enabledTypes,
-            disabledTypes: domainRule?.disabledTypes || [],
-            customMap: domainRule?.customMap || null,
-          },
+      if (request.action === "TEACH_START") {
+        const tab = await getActiveTab();
+        if (!tab?.id) {
+          sendResponse({ ok: false, error: "No active tab" });
+          return;
+        }
+        const frameResults = await broadcastToAllFrames(tab.id, {
+          action: "TEACH_START",
+        });
+        sendResponse({ ok: true, frames: frameResults });
+        return;
+      }
+
+      if (request.action === "TEACH_SAVE") {
+        // Keyed by the tab's domain so iframe fields share the page's rule
+        const domain = getDomainFromUrl(sender?.tab?.url || "");
+        if (!domain || !request.selector || !request.field) {
+          sendResponse({ ok: false, error: "invalid mapping" });
+          return;
+        }
+        const { siteRules } = await storageGet(["siteRules"]);
+        const rules = siteRules || DEFAULTS.siteRules;
+        rules.domains = rules.domains || {};
+        const entry = rules.domains[domain] || {};
+        entry.customMap = {
+          ...(entry.customMap || {}),
+          [request.selector]: request.field,
         };
+        rules.domains[domain] = entry;
+        await storageSet({ siteRules: rules });
 
-        const frameResults = await broadcastToAllFrames(tab.id, msg);
-        const summary = summarizeFillResults(frameResults);
+        if (sender?.tab?.id) {
+          await broadcastToAllFrames(sender.tab.id, { action: "TEACH_STOP" });
+        }
+        sendResponse({ ok: true, domain });
+        return;
+      }
 
-        sendResponse({ ok: true, domain, allow: allow.reason, summary });
+      if (request.action === "FILL_FORM") {
+        const tab = await getActiveTab();
+        if (!tab?.id) {
+          sendResponse({ ok: false, error: "No active tab" });
+          return;
+        }
+
+        sendResponse(await fillTab(tab, request));
         return;
       }
 
       sendResponse({ ok: false, error: "Unknown action" });
     } catch (e) {
+      if (e?.locked) {
+        sendResponse({ ok: false, locked: true, error: "locked" });
+        return;
+      }
       console.warn("[CV Asistan] background error:", e);
       sendResponse({ ok: false, error: String(e) });
     }
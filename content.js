@@ -1,23 +1,56 @@
 (() => {
   "use strict";
 
+  // Injected on demand; a second injection into the frame is a no-op
+  if (window.__cvaContentLoaded) return;
+  window.__cvaContentLoaded = true;
+
   const U = window.CVAUtils;
 
   const STATE = {
     debug: false,
     nameLock: {
       enabled: true,
-      mode: "IF_EMPTY", 
+      mode: "IF_EMPTY",
       protectWithObserver: true,
     },
     fillPolicy: {
       skipIfNotEmpty: true,
       dryRun: false,
+      review: false, // plan only; rows are written from the in-page panel
     },
     locked: {
       entries: new Map(),
       observer: null,
     },
+    ai: {
+      enabled: false,
+      pending: new Map(), // draft id -> textarea awaiting approval
+      seq: 0,
+    },
+    review: {
+      rows: [], // planned writes awaiting accept / reject
+    },
+    undo: {
+      batches: [], // one list of { id, el, type, restore } per fill
+      seq: 0,
+    },
+    assist: {
+      active: false,
+      observer: null,
+      timer: null,
+      running: false,
+      seen: new WeakSet(), // fields present at the last pass
+      profile: null,
+      opts: null,
+      filled: 0,
+    },
+    menuTarget: null, // last right-clicked element (context menu insert)
+    refs: {
+      seq: 0,
+      ids: new WeakMap(), // element -> ref
+      els: new Map(), // ref -> WeakRef(element)
+    },
   };
 
   function log(...args) {
@@ -57,6 +90,10 @@
         STATE.fillPolicy.skipIfNotEmpty =
           settings.fillPolicy.skipIfNotEmpty !== false;
         STATE.fillPolicy.dryRun = !!settings.fillPolicy.dryRun;
+        STATE.fillPolicy.review = !!settings.fillPolicy.review;
+      }
+      if (settings.ai) {
+        STATE.ai.enabled = !!settings.ai.enabled && !!settings.ai.model;
       }
     } catch (e) {
       warn("applySettings error:", e);
@@ -197,8 +234,7 @@
       div.appendChild(btn);
 
       document.body.appendChild(div);
-    } catch (e) {
-    }
+    } catch (e) {}
   }
 
   function collectFillTargets() {
@@ -206,7 +242,7 @@
 
     const fillables = candidates
       .filter(U.isFillableElement)
-      .filter(U.isVisible)
+      .filter((el) => U.isVisible(el) || isSelect2(el))
       .filter((el) => !shouldNeverFillElement(el));
 
     return fillables;
@@ -219,6 +255,9 @@
     "email",
     "phone",
     "addressLine",
+    "addressLine2",
+    "neighbourhood",
+    "district",
     "city",
     "state",
     "postalCode",
@@ -234,209 +273,3059 @@
     "salaryExpectation",
   ];
 
-  function chooseBestMatch(el, enabledTypes) {
-    let best = { type: null, score: -999999, reasons: [] };
-    for (const t of enabledTypes) {
-      const r = U.scoreFieldType(el, t);
-      if (r.score > best.score)
-        best = { type: t, score: r.score, reasons: r.reasons };
+  // customMap entries (selector -> profile key) taught per domain win over
+  // the scorer; "ignore" keeps the field out of every fill
+  const CUSTOM_IGNORE = "ignore";
+
+  function matchCustomMap(el, customEntries) {
+    for (const [selector, type] of customEntries) {
+      try {
+        if (type && el.matches(selector)) return { selector, type };
+      } catch {
+        // invalid selector in storage; ignore
+      }
     }
-    return best;
+    return null;
   }
 
-  function fillInputs(profile, opts = {}) {
-    const startedAt = Date.now();
-    const enabledTypes =
-      opts.enabledTypes && Array.isArray(opts.enabledTypes)
-        ? opts.enabledTypes
-        : FIELD_TYPES;
+  // Every enabled type with its score, best first; a custom or adapter
+  // mapping is the only entry (an "ignore" mapping leaves none)
+  function rankFieldTypes(
+    el,
+    enabledTypes,
+    customEntries = [],
+    adapter = null,
+  ) {
+    const custom = matchCustomMap(el, customEntries);
+    if (custom?.type === CUSTOM_IGNORE) return [];
+    if (custom) {
+      return [
+        {
+          type: custom.type,
+          score: 1000,
+          reasons: [`custom: ${custom.selector}`],
+          custom: true,
+        },
+      ];
+    }
+    const fixed = matchAdapterField(el, adapter, enabledTypes);
+    if (fixed) {
+      return [
+        {
+          type: fixed.type,
+          score: 900,
+          reasons: [`adapter ${adapter.id}: ${fixed.selector}`],
+          adapter: true,
+        },
+      ];
+    }
 
-    const report = {
-      frame: getFrameInfo(),
-      stats: { filled: 0, skipped: 0, matched: 0, errors: 0 },
-      items: [],
-      debug: { enabledTypes, dryRun: STATE.fillPolicy.dryRun },
+    return U.scoreFieldTypes(el, enabledTypes).sort(
+      (a, b) => b.score - a.score,
+    );
+  }
+
+  function chooseBestMatch(
+    el,
+    enabledTypes,
+    customEntries = [],
+    adapter = null,
+  ) {
+    const [best] = rankFieldTypes(el, enabledTypes, customEntries, adapter);
+    if (best) return best;
+    const ignored = !!matchCustomMap(el, customEntries);
+    return { type: null, score: -999999, reasons: [], custom: ignored };
+  }
+
+  // ---- Whole-form assignment: each profile value goes to its best field ----
+
+  const MATCH_MIN_SCORE = 35;
+  // Ties between forms go to the one holding most of the matches
+  const MAIN_FORM_BONUS = 8;
+  // A second field may take a type only when its label asks to repeat it
+  const CONFIRM_RE =
+    /confirm|repeat|re-?enter|re-?type|again|verify|tekrar|dogrula|onayla/;
+  // The applicant's own details never go to someone else's fields. Words
+  // start at a boundary: "preferred name" is the applicant's own.
+  const OTHER_PERSON_RE =
+    /(^|[^a-z])(referr(al|er|ed by)|references?|referans|friend|arkadas|manager|yonetici|emergency|acil durum)/;
+  const PERSONAL_TYPES = [
+    "firstName",
+    "lastName",
+    "fullName",
+    "email",
+    "phone",
+  ];
+
+  function assignmentLabel(el) {
+    return U.foldText(
+      U.getElementTextSignals(el)
+        .filter((s) => s.source !== "near-label")
+        .map((s) => s.text.replace(/([a-z])([A-Z])/g, "$1 $2"))
+        .join(" | "),
+    );
+  }
+
+  // A "full name" scorer hit on a first/last name input is a weak guess
+  function nameOnlyPart(el) {
+    const nm = (
+      (el.getAttribute("name") || "") +
+      " " +
+      (el.getAttribute("id") || "")
+    ).toLowerCase();
+    return (
+      /(first|given)[-_ ]?name|fname|ad\b|isim\b/i.test(nm) ||
+      /(last|family|sur)[-_ ]?name|lname|soyad/i.test(nm)
+    );
+  }
+
+  // candidates: [{ el, ranked, top }] -> { assigned, lost, others }. All
+  // (field, type) pairs are taken best-first; each type fills one field,
+  // plus one "Confirm email" style repeat once the field itself is taken.
+  function assignFieldTypes(candidates) {
+    const weight = new Map();
+    for (const c of candidates) {
+      c.form = c.el.closest("form") || c.el.closest("fieldset") || null;
+      weight.set(c.form, (weight.get(c.form) || 0) + c.ranked[0].score);
+    }
+    const mainForm = [...weight.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+
+    const pairs = [];
+    const others = [];
+    for (const c of candidates) {
+      const label = assignmentLabel(c.el);
+      c.confirm = CONFIRM_RE.test(label);
+      const other = OTHER_PERSON_RE.test(label);
+      let dropped = 0;
+      for (const r of c.ranked) {
+        if (r.score < MATCH_MIN_SCORE) continue;
+        const fixed = r.custom || r.adapter;
+        if (!fixed && other && PERSONAL_TYPES.includes(r.type)) {
+          dropped++;
+          continue;
+        }
+        if (!fixed && r.type === "fullName" && nameOnlyPart(c.el)) continue;
+        const bonus = c.form === mainForm ? MAIN_FORM_BONUS : 0;
+        pairs.push({ c, r, rank: r.score + bonus });
+      }
+      if (dropped && !pairs.some((p) => p.c === c)) others.push(c);
+    }
+    pairs.sort((a, b) => b.rank - a.rank || a.c.top - b.c.top);
+
+    const slots = new Map();
+    const done = new Set();
+    const assigned = [];
+    const take = (c, r, repeat) => {
+      done.add(c);
+      assigned.push({
+        el: c.el,
+        type: r.type,
+        score: r.score,
+        reasons: r.reasons,
+        custom: !!r.custom,
+        adapter: !!r.adapter,
+        top: c.top,
+        repeat,
+      });
     };
 
-    try {
-      const targets = collectFillTargets();
-      const matches = [];
+    // Confirm-style fields wait until the field they repeat is placed
+    for (const confirmPass of [false, true]) {
+      for (const { c, r } of pairs) {
+        if (done.has(c) || c.confirm !== confirmPass) continue;
+        const slot = slots.get(r.type) || { fields: 0, repeats: 0, best: 0 };
+        slots.set(r.type, slot);
+        if (r.custom || r.adapter || slot.fields === 0) {
+          slot.fields++;
+          slot.best = Math.max(slot.best, r.score);
+          take(c, r, false);
+        } else if (c.confirm && slot.repeats === 0) {
+          slot.repeats++;
+          take(c, r, true);
+        } else if (!c.lostTo) {
+          c.lostTo = { type: r.type, score: r.score, winner: slot.best };
+        }
+      }
+    }
 
-      for (const el of targets) {
-        const best = chooseBestMatch(el, enabledTypes);
-        if (best.score < 35) continue;
+    const lost = candidates.filter((c) => !done.has(c) && c.lostTo);
+    assigned.sort((a, b) => b.score - a.score || a.top - b.top);
+    return { assigned, lost, others };
+  }
 
-        matches.push({
-          el,
-          type: best.type,
-          score: best.score,
-          reasons: best.reasons,
-          top: U.withinTopForm(el),
+  // Writes one value under fillPolicy (skipIfNotEmpty / dryRun) and records
+  // the outcome in the report. `guard` runs after the not-empty check.
+  // Dropdown widgets are driven through their list; their failures are
+  // counted apart as widget errors.
+  async function commitValue(el, item, desired, report, guard = null) {
+    const widget = isCombobox(el);
+    item = { ...item, ref: fieldRef(el), ...(widget ? { widget: true } : {}) };
+    const current = (widget ? comboboxText(el) : el.value || "").trim();
+
+    if (STATE.fillPolicy.skipIfNotEmpty && current) {
+      report.stats.skipped++;
+      report.items.push({
+        ...item,
+        action: "skipped",
+        reason: "not-empty (skipIfNotEmpty)",
+        current,
+      });
+      return false;
+    }
+
+    if (guard) {
+      const decision = guard();
+      if (!decision.allowed) {
+        report.stats.skipped++;
+        report.items.push({
+          ...item,
+          action: "skipped",
+          reason: decision.reason,
+          current,
         });
+        return false;
       }
+    }
 
-      matches.sort((a, b) => b.score - a.score || a.top - b.top);
+    if (STATE.fillPolicy.dryRun) {
+      report.items.push({
+        ...item,
+        action: "dry-run",
+        reason: "dry-run enabled",
+        to: desired,
+      });
+      return false;
+    }
 
-      const usedTypesCount = new Map();
-      const assigned = [];
+    if (STATE.fillPolicy.review) {
+      queueReview(report, {
+        el,
+        item,
+        value: desired,
+        editable: true,
+        apply: (value) => writeField(el, value),
+      });
+      return false;
+    }
 
-      for (const m of matches) {
-        const el = m.el;
-        const type = m.type;
-        let desired = (profile[type] || "").trim();
+    const restore = snapshotFor(el);
+    const res = await writeField(el, desired);
+    if (!res.ok) {
+      report.stats.errors++;
+      if (widget) report.stats.widgetErrors++;
+      report.items.push({
+        ...item,
+        action: "error",
+        reason: res.error || "setNativeValue failed",
+      });
+      return false;
+    }
 
-        if (type === "coverLetter" && !desired) {
-          desired = (profile.summary || "").trim();
-        }
+    report.stats.filled++;
+    report.items.push({
+      ...item,
+      action: "filled",
+      from: res.from,
+      to: res.to,
+      undoId: recordUndo(el, item, restore),
+    });
+    return true;
+  }
 
-        if (!desired) continue;
+  // ---- Site adapters (ATS platforms) ----
+  // Known applicant tracking systems get exact selectors instead of label
+  // scoring. fields: profile key -> selectors; widgets: non-input pickers
+  // driven by clicking; files: upload inputs per kind; flow: multi-page
+  // step label and "next" button. The scorer still handles the rest.
+
+  const SITE_ADAPTERS = [
+    {
+      id: "workday",
+      name: "Workday",
+      detect: () =>
+        /(^|\.)(myworkdayjobs|workday)\.com$/.test(location.hostname) ||
+        !!document.querySelector("[data-automation-id='applyFlowPage']"),
+      fields: {
+        firstName: [
+          "[data-automation-id='legalNameSection_firstName']",
+          "input[id$='legalName--firstName']",
+        ],
+        lastName: [
+          "[data-automation-id='legalNameSection_lastName']",
+          "input[id$='legalName--lastName']",
+        ],
+        email: ["[data-automation-id='email']", "input[id$='--email']"],
+        phone: [
+          "[data-automation-id='phone-number']",
+          "input[id$='phoneNumber--phoneNumber']",
+        ],
+        addressLine: [
+          "[data-automation-id='addressSection_addressLine1']",
+          "input[id$='address--addressLine1']",
+        ],
+        city: [
+          "[data-automation-id='addressSection_city']",
+          "input[id$='address--city']",
+        ],
+        postalCode: [
+          "[data-automation-id='addressSection_postalCode']",
+          "input[id$='address--postalCode']",
+        ],
+        linkedin: ["[data-automation-id='linkedinQuestion']"],
+      },
+      widgets: [
+        {
+          type: "country",
+          selector:
+            "button[data-automation-id='countryDropdown'], button[id$='country--country']",
+        },
+        {
+          type: "state",
+          selector:
+            "button[data-automation-id='addressSection_countryRegion'], button[id$='address--countryRegion']",
+        },
+      ],
+      files: {
+        resume: "input[data-automation-id='file-upload-input-ref']",
+      },
+      flow: {
+        step: "[data-automation-id='progressBarActiveStep']",
+        next: "button[data-automation-id='bottom-navigation-next-button'], button[data-automation-id='pageFooterNextButton']",
+      },
+    },
+    {
+      id: "greenhouse",
+      name: "Greenhouse",
+      detect: () =>
+        /(^|\.)greenhouse\.io$/.test(location.hostname) ||
+        !!document.querySelector("form#application_form, #grnhse_app form"),
+      fields: {
+        firstName: ["#first_name"],
+        lastName: ["#last_name"],
+        email: ["#email"],
+        phone: ["#phone"],
+        city: ["#candidate-location", "#job_application_location"],
+      },
+      files: {
+        resume: "#resume, input[type='file'][id^='resume']",
+        coverLetter: "#cover_letter, input[type='file'][id^='cover_letter']",
+      },
+    },
+    {
+      id: "lever",
+      name: "Lever",
+      detect: () => /(^|\.)lever\.co$/.test(location.hostname),
+      fields: {
+        fullName: ["input[name='name']"],
+        email: ["input[name='email']"],
+        phone: ["input[name='phone']"],
+        city: ["input[name='location']"],
+        linkedin: ["input[name='urls[LinkedIn]']"],
+        github: ["input[name='urls[GitHub]']"],
+        website: ["input[name='urls[Portfolio]']", "input[name='urls[Other]']"],
+        coverLetter: ["textarea[name='comments']"],
+      },
+      files: { resume: "input[type='file'][name='resume']" },
+    },
+    {
+      id: "smartrecruiters",
+      name: "SmartRecruiters",
+      detect: () =>
+        /(^|\.)smartrecruiters\.com$/.test(location.hostname) ||
+        !!document.querySelector("oc-apply-form, spl-form"),
+      fields: {
+        firstName: ["#first-name-input", "input[name='firstName']"],
+        lastName: ["#last-name-input", "input[name='lastName']"],
+        email: [
+          "#email-input",
+          "#confirm-email-input",
+          "input[name='email']",
+          "input[name='confirmEmail']",
+        ],
+        phone: ["#phone-number-input", "input[name='phoneNumber']"],
+        linkedin: ["#linkedin-input"],
+        website: ["#website-input"],
+      },
+      files: { resume: "input[type='file'][id*='resume' i]" },
+      flow: { step: "[aria-current='step']", nextText: /^(next|continue)$/i },
+    },
+    {
+      id: "kariyernet",
+      name: "Kariyer.net",
+      detect: () => /(^|\.)kariyer\.net$/.test(location.hostname),
+      fields: {
+        firstName: ["input[name='Ad' i]", "input[name='FirstName' i]"],
+        lastName: ["input[name='Soyad' i]", "input[name='LastName' i]"],
+        email: ["input[name='Eposta' i]", "input[name='Email' i]"],
+        phone: ["input[name*='CepTelefon' i]", "input[name='Phone' i]"],
+      },
+      flow: {
+        step: "[class*='step'][class*='active']",
+        nextText: /^(devam( et)?|ileri|sonraki( adım)?)$/i,
+      },
+    },
+  ];
 
-        const count = usedTypesCount.get(type) || 0;
+  // Trigger text meaning "nothing picked yet" on dropdown widgets
+  const WIDGET_EMPTY_RE = /^(select( one)?|seç(iniz)?|choose( one)?|-+)?$/i;
 
-        if (type === "fullName") {
-          const nm = (
-            (el.getAttribute("name") || "") +
-            " " +
-            (el.getAttribute("id") || "")
-          ).toLowerCase();
-          if (/(first|given)[-_ ]?name|fname|ad\b|isim\b/i.test(nm)) continue;
-          if (/(last|family|sur)[-_ ]?name|lname|soyad/i.test(nm)) continue;
-        }
+  function detectAdapter() {
+    for (const adapter of SITE_ADAPTERS) {
+      try {
+        if (adapter.detect()) return adapter;
+      } catch {
+        // fingerprint threw on an odd page; treat as no match
+      }
+    }
+    return null;
+  }
 
-        assigned.push(m);
+  function matchAdapterField(el, adapter, enabledTypes) {
+    for (const [type, selectors] of Object.entries(adapter?.fields || {})) {
+      if (!enabledTypes.includes(type)) continue;
+      const selector = selectors.find((sel) => el.matches(sel));
+      if (selector) return { type, selector };
+    }
+    return null;
+  }
 
-        usedTypesCount.set(type, count + 1);
-      }
+  function adapterFileKind(input, adapter) {
+    for (const [kind, selector] of Object.entries(adapter?.files || {})) {
+      if (input.matches(selector))
+        return { kind, reason: `adapter ${adapter.id}` };
+    }
+    return null;
+  }
 
-      report.stats.matched = assigned.length;
+  // Current step label and whether a "next" button exists
+  function describeAdapterFlow(adapter) {
+    const flow = adapter.flow;
+    if (!flow) return { step: "", hasNext: false };
+
+    const stepEl = flow.step ? document.querySelector(flow.step) : null;
+    let next = flow.next ? document.querySelector(flow.next) : null;
+    if (!next && flow.nextText) {
+      next = [...document.querySelectorAll("button, [role='button']")].find(
+        (b) =>
+          U.isVisible(b) && flow.nextText.test((b.textContent || "").trim()),
+      );
+    }
+    return {
+      step: (stepEl?.textContent || "")
+        .replace(/\s+/g, " ")
+        .trim()
+        .slice(0, 60),
+      hasNext: !!next,
+    };
+  }
 
-      const debugLines = [];
+  // ---- Dropdown widgets (ARIA combobox, React-Select, MUI, Select2) ----
+  // Open the widget, let it render (or filter) its options, pick the best
+  // one with the <select> matching rules and check the choice stuck.
+
+  const OPTION_SELECTOR =
+    "[role='option'], .select2-results__option, [id^='react-select'][id*='-option-']";
+  const WIDGET_WAIT_MS = 1500;
+  const WIDGET_POLL_MS = 100;
+  const WIDGET_SHOWN_MIN = 3;
+
+  // Select2 hides the real <select> and draws its own box next to it
+  function isSelect2(el) {
+    return (
+      (el.tagName || "").toLowerCase() === "select" &&
+      el.classList.contains("select2-hidden-accessible")
+    );
+  }
 
-      for (const m of assigned) {
-        const el = m.el;
-        const type = m.type;
-        const desired = (profile[type] || "").trim();
+  function isCombobox(el) {
+    return isSelect2(el) || U.isComboboxElement(el);
+  }
 
-        const current = (el.value || "").trim();
+  // What the widget shows as chosen; React-Select keeps its input empty
+  function comboboxText(el) {
+    if (isSelect2(el)) {
+      const box = el.nextElementSibling?.querySelector(
+        ".select2-selection__rendered",
+      );
+      if (!box || box.querySelector(".select2-selection__placeholder"))
+        return "";
+      return cleanText(box.textContent);
+    }
+    if ((el.tagName || "").toLowerCase() !== "input") {
+      const text = cleanText(el.textContent);
+      return WIDGET_EMPTY_RE.test(text) ? "" : text;
+    }
+    if (el.value.trim()) return el.value.trim();
+    const control = el.closest("[class*='control'], [class*='Control']");
+    return cleanText(
+      control?.querySelector("[class*='singleValue'], [class*='single-value']")
+        ?.textContent,
+    );
+  }
 
-        if (STATE.fillPolicy.skipIfNotEmpty && current) {
-          report.stats.skipped++;
-          report.items.push({
-            type,
-            score: m.score,
-            action: "skipped",
-            reason: "not-empty (skipIfNotEmpty)",
-            current,
-          });
-          continue;
-        }
+  function widgetOptions(el) {
+    const search = widgetSearchInput(el);
+    const id =
+      search?.getAttribute("aria-controls") ||
+      el.getAttribute("aria-controls") ||
+      el.getAttribute("aria-owns");
+    const list = id ? document.getElementById(id) : null;
+    return [...(list || document).querySelectorAll(OPTION_SELECTOR)].filter(
+      (o) =>
+        U.isVisible(o) &&
+        o.getAttribute("aria-disabled") !== "true" &&
+        !o.classList.contains("select2-results__message"),
+    );
+  }
 
-        const lockDecision = enforceNameLockDecision(el, type, profile, report);
-        if (!lockDecision.allowed) {
-          report.stats.skipped++;
-          report.items.push({
-            type,
-            score: m.score,
-            action: "skipped",
-            reason: lockDecision.reason,
-            current,
-          });
-          continue;
-        }
+  // Where typing filters the list: the input itself, or Select2's search box
+  function widgetSearchInput(el) {
+    if (isSelect2(el)) {
+      return document.querySelector(
+        ".select2-container--open .select2-search__field",
+      );
+    }
+    return (el.tagName || "").toLowerCase() === "input" ? el : null;
+  }
 
-        if (STATE.fillPolicy.dryRun) {
-          report.items.push({
-            type,
-            score: m.score,
-            action: "dry-run",
-            reason: "dry-run enabled",
-            to: desired,
-          });
-          continue;
-        }
+  function openWidget(el) {
+    if (isSelect2(el)) {
+      const box = el.nextElementSibling?.querySelector(".select2-selection");
+      box?.dispatchEvent(new MouseEvent("mousedown", { bubbles: true }));
+      box?.click();
+      return;
+    }
+    if ((el.tagName || "").toLowerCase() !== "input") {
+      el.click();
+      return;
+    }
+    el.focus();
+    el.dispatchEvent(
+      new KeyboardEvent("keydown", { key: "ArrowDown", bubbles: true }),
+    );
+  }
 
-        const res = U.setNativeValue(el, desired);
-        if (!res.ok) {
-          report.stats.errors++;
-          report.items.push({
-            type,
-            score: m.score,
-            action: "error",
-            reason: res.error || "setNativeValue failed",
-          });
-          continue;
-        }
+  function closeWidget(el) {
+    const target = widgetSearchInput(el) || el;
+    target.dispatchEvent(
+      new KeyboardEvent("keydown", { key: "Escape", bubbles: true }),
+    );
+  }
+
+  async function waitForOption(el, value, waitMs = WIDGET_WAIT_MS) {
+    for (let waited = 0; waited <= waitMs; waited += WIDGET_POLL_MS) {
+      const options = widgetOptions(el);
+      const hit = U.matchOption(
+        options.map((o) => ({
+          value: o.getAttribute("data-value") || "",
+          text: o.textContent,
+        })),
+        value,
+      );
+      if (hit) return { option: options[hit.index], matched: hit.matched };
+      await sleep(WIDGET_POLL_MS);
+    }
+    return null;
+  }
+
+  function pickOption(option) {
+    for (const type of ["mousedown", "mouseup", "click"]) {
+      option.dispatchEvent(new MouseEvent(type, { bubbles: true }));
+    }
+  }
+
+  // An open list shifts the layout and may render fields; signals read
+  // before it are stale
+  async function driveCombobox(el, value) {
+    try {
+      return await pickComboboxValue(el, value);
+    } finally {
+      U.resetSignalPass();
+    }
+  }
+
+  async function pickComboboxValue(el, value) {
+    const want = cleanText(value);
+    if (!want) return { ok: false, error: "widget: empty value" };
+
+    // Select2 follows its <select>; the list is only a fallback
+    if (isSelect2(el)) {
+      const res = U.setNativeValue(el, want);
+      if (res.ok && comboboxText(el)) return res;
+    }
+
+    // A suggestion list is only checked once before typing; one that
+    // already lists options on open is a pick list, not suggestions
+    let freeText = U.isFreeTextCombobox(el);
+    openWidget(el);
+    if (freeText && widgetOptions(el).length) freeText = false;
+    let found = await waitForOption(el, want, freeText ? 0 : WIDGET_WAIT_MS);
+    const search = widgetSearchInput(el);
+    const typedOver = search?.value || "";
+    if (!found && search) {
+      // Async / filtered lists only show matches after typing
+      U.setNativeValue(search, want);
+      found = await waitForOption(el, want);
+    }
+    if (!found && freeText) {
+      // No suggestion fits; the typed text is the answer
+      closeWidget(el);
+      const res = U.setNativeValue(el, want);
+      return res.ok ? { ...res, from: typedOver } : res;
+    }
+    if (!found) {
+      if (search && search !== el) U.setNativeValue(search, "");
+      else if (search) U.setNativeValue(search, typedOver);
+      closeWidget(el);
+      return { ok: false, error: `widget: no option "${want}"` };
+    }
+
+    const text = cleanText(found.option.textContent);
+    pickOption(found.option);
+    for (let waited = 0; waited <= WIDGET_WAIT_MS; waited += WIDGET_POLL_MS) {
+      if (showsOption(comboboxText(el), text))
+        return { ok: true, matched: found.matched, to: text };
+      await sleep(WIDGET_POLL_MS);
+    }
+    closeWidget(el);
+    if (freeText) {
+      const res = U.setNativeValue(el, want);
+      return res.ok ? { ...res, from: typedOver } : res;
+    }
+    return { ok: false, error: `widget: "${text}" did not stick` };
+  }
+
+  // The display may drop an option's trailing detail ("Turkey" for
+  // "Turkey (+90)"), but a stale letter or fragment is not a selection
+  function showsOption(shownText, optionText) {
+    const shown = U.foldText(shownText);
+    const option = U.foldText(optionText);
+    if (!shown) return false;
+    if (shown === option) return true;
+    return (
+      shown.length >= WIDGET_SHOWN_MIN &&
+      option.startsWith(shown) &&
+      !/[\p{L}\d]/u.test(option[shown.length])
+    );
+  }
+
+  function writeField(el, value) {
+    return isCombobox(el)
+      ? driveCombobox(el, value)
+      : U.setNativeValue(el, value);
+  }
 
-        report.stats.filled++;
+  async function fillAdapterWidgets(
+    adapter,
+    profile,
+    enabledTypes,
+    report,
+    fresh = () => true,
+  ) {
+    for (const widget of adapter?.widgets || []) {
+      if (!enabledTypes.includes(widget.type)) continue;
+      const value = (profile[widget.type] || "").trim();
+      if (!value) continue;
+
+      const trigger = [...document.querySelectorAll(widget.selector)].find(
+        (el) => U.isVisible(el) && fresh(el),
+      );
+      if (!trigger) continue;
+      const desired = PLACE_TYPES.includes(widget.type)
+        ? placeValueFor(trigger, widget.type, value)
+        : value;
+
+      const item = {
+        type: widget.type,
+        source: "adapter",
+        adapter: adapter.id,
+        widget: true,
+        ref: fieldRef(trigger),
+      };
+      report.stats.matched++;
+
+      const current = (trigger.textContent || "").replace(/\s+/g, " ").trim();
+      const empty = WIDGET_EMPTY_RE.test(current);
+      if (U.foldText(current) === U.foldText(desired)) {
+        report.stats.skipped++;
+        report.items.push({
+          ...item,
+          action: "skipped",
+          reason: "already selected",
+        });
+        continue;
+      }
+      if (STATE.fillPolicy.skipIfNotEmpty && !empty) {
+        report.stats.skipped++;
+        report.items.push({
+          ...item,
+          action: "skipped",
+          reason: "not-empty (skipIfNotEmpty)",
+          current,
+        });
+        continue;
+      }
+      if (STATE.fillPolicy.dryRun) {
         report.items.push({
-          type,
-          score: m.score,
-          action: "filled",
-          from: res.from,
-          to: res.to,
+          ...item,
+          action: "dry-run",
+          reason: "dry-run enabled",
+          to: desired,
         });
+        continue;
+      }
 
-        if (
-          STATE.nameLock.enabled &&
-          STATE.nameLock.mode === "PROTECT" &&
-          isNameFieldType(type)
-        ) {
-          addLockedEntry(el, desired);
-        }
+      if (STATE.fillPolicy.review) {
+        queueReview(report, {
+          el: trigger,
+          item,
+          value: desired,
+          fill: widget.fill,
+          apply: () => (widget.fill || driveCombobox)(trigger, desired),
+        });
+        continue;
+      }
 
-        if (STATE.debug) {
-          debugLines.push(
-            `✅ ${type} (${Math.round(m.score)}) -> "${desired}"\n  reasons: ${m.reasons.slice(0, 3).join(", ")}`,
-          );
-        }
+      const restore = snapshotFor(trigger, widget);
+      const res = await (widget.fill || driveCombobox)(trigger, desired);
+      U.resetSignalPass();
+      if (!res.ok) {
+        report.stats.errors++;
+        report.stats.widgetErrors++;
+        report.items.push({ ...item, action: "error", reason: res.error });
+        continue;
       }
+      report.stats.filled++;
+      report.items.push({
+        ...item,
+        action: "filled",
+        from: empty ? "" : current,
+        to: res.to,
+        undoId: recordUndo(trigger, item, restore),
+      });
+    }
+  }
 
-      if (STATE.debug) {
-        makeOverlay(
-          `CV Asistan Debug (${report.frame.frame})\n` +
-            `Filled: ${report.stats.filled}, Skipped: ${report.stats.skipped}, Errors: ${report.stats.errors}\n\n` +
-            debugLines.slice(0, 12).join("\n\n"),
+  // ---- Dates: ISO profile values in the field's format; split date parts ----
+
+  const DATE_TYPES = ["dateOfBirth", "graduationYear"];
+  const DATE_PART_RE = {
+    day: /(^|[^a-z])(day|dd|gg|gun)([^a-z]|$)/,
+    month: /(^|[^a-z])(month|mm|aa|ay)([^a-z]|$)/,
+    year: /(^|[^a-z])(year|yyyy|yy|yil|yili)([^a-z]|$)/,
+  };
+  const DATE_PART_SOURCES = new Set([
+    "placeholder",
+    "aria-label",
+    "name",
+    "id",
+    "label-for",
+    "label-wrap",
+  ]);
+
+  function pageLang() {
+    return document.documentElement.lang || navigator.language || "tr";
+  }
+
+  // Option number as shown to the user ("01", "2022"), else its value
+  function optionNumber(opt) {
+    for (const v of [opt.text, opt.value]) {
+      const t = (v || "").trim();
+      if (/^\d{1,4}$/.test(t)) return Number(t);
+    }
+    return 0;
+  }
+
+  // Day / month / year select recognised from its options alone
+  function selectPartKind(el) {
+    const opts = [...el.options];
+    if (opts.filter((o) => U.monthFromText(o.text)).length >= 12)
+      return "month";
+    const nums = opts.map(optionNumber).filter(Boolean);
+    if (nums.length >= 10 && nums.every((n) => n >= 1900 && n <= 2100)) {
+      return "year";
+    }
+    const max = Math.max(...nums);
+    if (nums.length >= 28 && max === 31) return "day";
+    if (nums.length === 12 && max === 12) return "month";
+    return null;
+  }
+
+  function datePartOf(el) {
+    const tag = el.tagName.toLowerCase();
+    const type = (el.getAttribute("type") || "text").toLowerCase();
+    if (tag === "select") {
+      const kind = selectPartKind(el);
+      if (kind) return kind;
+    } else if (tag !== "input" || !["text", "number", "tel"].includes(type)) {
+      return null;
+    }
+    const text = U.foldText(
+      U.getElementTextSignals(el)
+        .filter((s) => DATE_PART_SOURCES.has(s.source))
+        .map((s) => s.text.replace(/([a-z])([A-Z])/g, "$1 $2"))
+        .join(" | "),
+    );
+    // "GG.AA.YYYY" is a whole date, not a part
+    if (U.datePatternFromText(text)) return null;
+    const kinds = Object.keys(DATE_PART_RE).filter((k) =>
+      DATE_PART_RE[k].test(text),
+    );
+    return kinds.length === 1 ? kinds[0] : null;
+  }
+
+  // Day / month / year fields sharing one container (a "Date of birth" row)
+  function collectDateGroups(els) {
+    const parts = els
+      .map((el) => ({ el, kind: datePartOf(el) }))
+      .filter((p) => p.kind);
+    const byBox = new Map();
+    for (const p of parts) {
+      // Tightest ancestor that also holds a part of another kind
+      const holdsOther = (box) =>
+        parts.some((q) => q.kind !== p.kind && box.contains(q.el));
+      let box = p.el.parentElement;
+      let depth = 0;
+      while (box && depth < 4 && !holdsOther(box)) {
+        box = box.parentElement;
+        depth++;
+      }
+      if (!box || depth >= 4) continue;
+      if (!byBox.has(box)) byBox.set(box, []);
+      byBox.get(box).push(p);
+    }
+    // Day+month in an inner row and year beside it end up in one group
+    const boxes = [...byBox.keys()];
+    for (const box of boxes) {
+      const outer = boxes.find(
+        (b) => b !== box && byBox.has(b) && b.contains(box),
+      );
+      if (!outer) continue;
+      byBox.get(outer).push(...byBox.get(box));
+      byBox.delete(box);
+    }
+
+    const groups = [];
+    for (const list of byBox.values()) {
+      const group = {};
+      for (const p of list) group[p.kind] = group[p.kind] || p.el;
+      if (Object.keys(group).length >= 2) groups.push(group);
+    }
+    return groups;
+  }
+
+  function datePartValue(el, kind, parts) {
+    const n = parts[kind];
+    if (!n) return "";
+    if (el.tagName.toLowerCase() === "select") {
+      const opt = [...el.options].find(
+        (o) =>
+          (kind === "month" && U.monthFromText(o.text) === n) ||
+          optionNumber(o) === n,
+      );
+      return opt ? opt.value : "";
+    }
+    if (kind === "year") {
+      return el.maxLength === 2 ? String(n).slice(-2) : String(n);
+    }
+    return String(n).padStart(2, "0");
+  }
+
+  // Profile date (ISO) as this field wants it: native date/month inputs,
+  // a "GG.AA.YYYY" style hint, a year-only field, else the page locale.
+  // "" when the profile value is not precise enough; free text as-is.
+  function dateValueFor(el, value) {
+    const parts = U.parseDate(value);
+    if (!parts) return value;
+    const tag = el.tagName.toLowerCase();
+    const type = (el.getAttribute("type") || "text").toLowerCase();
+    if (tag === "select") {
+      return selectPartKind(el) === "year" ? String(parts.year) : value;
+    }
+    if (isCombobox(el)) return value;
+    if (type === "date") return parts.day ? U.toIsoDate(parts) : "";
+    if (type === "month") {
+      return parts.month ? U.toIsoDate({ ...parts, day: 0 }) : "";
+    }
+    if (type === "number") return String(parts.year);
+
+    const texts = U.getElementTextSignals(el)
+      .filter((s) => s.source !== "autocomplete")
+      .map((s) => s.text);
+    for (const t of texts) {
+      const pattern = U.datePatternFromText(t);
+      if (pattern) return U.formatDate(parts, pattern);
+    }
+    if (
+      el.maxLength === 4 ||
+      DATE_PART_RE.year.test(U.foldText(texts.join(" | ")))
+    ) {
+      return String(parts.year);
+    }
+    return U.formatDateLocale(parts, pageLang());
+  }
+
+  async function fillDateGroups(profile, report, els, enabledTypes, fresh) {
+    const claimed = new Set();
+    for (const group of collectDateGroups(els)) {
+      const members = Object.values(group);
+      // The parts' own labels first; the group question may be borrowed
+      // from a neighbouring block
+      const own = U.getElementTextSignals(members[0])
+        .map((s) => s.text)
+        .join(" | ");
+      const type =
+        U.matchDateField(own) ||
+        U.matchDateField(U.getChoiceGroupQuestion(members));
+      if (!type || !enabledTypes.includes(type)) continue;
+      // Claimed even without a profile value: the scorer must not write a
+      // whole date into the year box
+      members.forEach((el) => claimed.add(el));
+      const parts = U.parseDate(profile[type]);
+      if (!parts) continue;
+
+      for (const [kind, el] of Object.entries(group)) {
+        if (!fresh(el)) continue;
+        const desired = datePartValue(el, kind, parts);
+        if (!desired) continue;
+        report.stats.matched++;
+        await commitValue(
+          el,
+          { type, part: kind, source: "date-parts" },
+          desired,
+          report,
         );
       }
+    }
+    return claimed;
+  }
 
-      log("Fill report:", report);
-    } catch (e) {
-      report.stats.errors++;
-      report.items.push({ action: "fatal", reason: String(e) });
-      error("fillInputs fatal:", e);
+  // ---- Places: country / province values in the site's vocabulary ----
+
+  const PLACE_TYPES = ["country", "city", "state"];
+
+  // Selects get the option carrying any name or code of the place ("TR",
+  // "TUR", "Türkiye", "Turkey", "34 - İstanbul"); short inputs the ISO code;
+  // other fields the name in the page language
+  function placeValueFor(el, type, value) {
+    const place =
+      type === "country" ? U.findCountry(value) : U.findProvince(value);
+    if (!place) return value;
+    if (el.tagName.toLowerCase() === "select") {
+      const options = [...el.options].map((o) => ({
+        value: o.value,
+        text: o.text,
+      }));
+      const i = U.matchPlaceOption(options, place);
+      return i >= 0 ? el.options[i].value : value;
     }
+    if (type !== "country") return place.names[0];
+    if (el.maxLength === 2) return place.iso2;
+    if (el.maxLength === 3) return place.iso3;
+    return pageLang().toLowerCase().startsWith("tr") ? place.tr : place.en;
+  }
 
-    report.timingMs = Date.now() - startedAt;
-    return report;
+  // ---- Phone numbers: dial-code fields, national part, field formats ----
+
+  const DIAL_CODE_RE =
+    /dial|calling|(country|phone|tel)[\s_-]*code|ulke[\s_-]*kodu|telefon[\s_-]*kodu/;
+  const DIAL_WORD_RE = /dial|calling/;
+  const PHONE_WORD_RE = /phone|mobile|tel|gsm|cep|telefon/;
+  // Address country lists and name prefixes, whatever their label says
+  const NOT_DIAL_AUTOCOMPLETE_RE = /^(country|country-name|honorific-\w+)$/;
+  // A phone row holds the dial code and the number, little else
+  const PHONE_ROW_MAX_INPUTS = 3;
+  const DIAL_OPTION_RE = /\+\s?\d{1,4}(?!\d)/;
+
+  // Profile country, else the page locale's region ("en-US" -> US)
+  function phoneHome(profile) {
+    if (U.phoneRegion(profile.country)) return profile.country;
+    const lang = pageLang().split("-");
+    return lang[1] || lang[0];
   }
 
-  chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
-    (async () => {
-      try {
-        if (!request || !request.action) return;
+  function phoneSignalText(el) {
+    return U.foldText(
+      U.getElementTextSignals(el)
+        .filter((s) => s.source !== "near-label")
+        .map((s) => s.text.replace(/([a-z])([A-Z])/g, "$1 $2"))
+        .join(" | "),
+    );
+  }
 
-        if (request.action === "PING") {
-          sendResponse({ ok: true, ...getFrameInfo() });
-          return;
-        }
+  function besidePhoneInput(el) {
+    let box = el.parentElement;
+    for (let depth = 0; box && depth < 2; depth++) {
+      const inputs = [...box.querySelectorAll("input")].filter((x) => x !== el);
+      if (inputs.length > PHONE_ROW_MAX_INPUTS) return false;
+      const phone = inputs.some(
+        (x) => x.type === "tel" || PHONE_WORD_RE.test(phoneSignalText(x)),
+      );
+      if (phone) return true;
+      box = box.parentElement;
+    }
+    return false;
+  }
 
-        if (request.action === "TOGGLE_DEBUG") {
-          setDebug(!!request.debug);
-          sendResponse({ ok: true, debug: STATE.debug, ...getFrameInfo() });
-          return;
-        }
+  // "Country code" alone is as often an ISO country list: selects must
+  // list dial codes, inputs need a phone label or a phone input beside them
+  function isDialCodeField(el) {
+    const ac = (el.getAttribute("autocomplete") || "")
+      .trim()
+      .toLowerCase()
+      .split(/\s+/)
+      .pop();
+    if (ac === "tel-country-code") return true;
+    if (NOT_DIAL_AUTOCOMPLETE_RE.test(ac)) return false;
+    const tag = el.tagName.toLowerCase();
+    if (tag !== "select" && tag !== "input") return false;
+    const text = phoneSignalText(el);
+    if (tag === "select") {
+      // "Turkey (+90)" lists under a dial-code or phone label
+      if (!DIAL_CODE_RE.test(text) && !PHONE_WORD_RE.test(text)) return false;
+      const coded = [...el.options].filter((o) =>
+        DIAL_OPTION_RE.test(`${o.text} ${o.value}`),
+      );
+      return coded.length >= 5;
+    }
+    return (
+      DIAL_CODE_RE.test(text) &&
+      (PHONE_WORD_RE.test(text) ||
+        DIAL_WORD_RE.test(text) ||
+        besidePhoneInput(el))
+    );
+  }
 
-        if (request.action === "FILL_FORM") {
-          const rawProfile = request.profile || {};
-          const settings = request.settings || {};
-          const opts = request.options || {};
+  // Option carrying "+90" (or value "90"); the region settles shared codes
+  function dialCodeOption(el, parsed) {
+    const codeRe = new RegExp(`(^|\\+|\\b00)${parsed.code}(?!\\d)`);
+    const hits = [...el.options].filter((o) => {
+      const value = o.value.trim().replace(/^\+|^00/, "");
+      return value === parsed.code || codeRe.test(o.text.replace(/\s+/g, ""));
+    });
+    const iso = parsed.region.toLowerCase();
+    return (
+      hits.find((o) =>
+        [o.value, o.text].some((t) => new RegExp(`\\b${iso}\\b`, "i").test(t)),
+      ) ||
+      hits[0] ||
+      null
+    );
+  }
 
-          applySettings(settings);
+  function dialCodeValue(el, parsed) {
+    if (el.tagName.toLowerCase() === "select") {
+      return dialCodeOption(el, parsed)?.value || "";
+    }
+    const plus = `+${parsed.code}`;
+    return el.maxLength > 0 && el.maxLength < plus.length ? parsed.code : plus;
+  }
 
-          const profile = U.normalizeProfile(rawProfile);
+  // Phone number as this field takes it: the `pattern` it must match, a
+  // "5XX XXX XX XX" placeholder mask, `maxlength`, else E.164. `national`
+  // fields sit next to a dial-code field and never get the country code.
+  function phoneValueFor(el, phone, home, national = false) {
+    const parsed = U.parsePhone(phone, home);
+    if (!parsed) return phone;
+    let variants = U.phoneVariants(parsed);
+    // Next to a dial code: no country code, trunk prefix only if required
+    if (national) {
+      variants = [
+        ...variants.filter((v) => !v.intl && !v.trunk),
+        ...variants.filter((v) => v.trunk),
+      ];
+    }
+    variants = variants.map((v) => v.text);
 
-          const report = fillInputs(profile, opts);
-          sendResponse({ ok: true, report });
+    const pattern = el.getAttribute("pattern");
+    if (pattern) {
+      try {
+        const re = new RegExp(`^(?:${pattern})$`, "u");
+        const hit = variants.find((v) => re.test(v));
+        if (hit) return hit;
+      } catch {
+        // pattern the browser accepts but this engine does not; ignore
+      }
+    }
+
+    const mask = (el.getAttribute("placeholder") || "").trim();
+    if (/^[\dXx#*_\s()+./-]+$/.test(mask)) {
+      const digits = [parsed.national];
+      if (parsed.trunk) digits.push(parsed.trunk + parsed.national);
+      if (!national) digits.push(parsed.code + parsed.national);
+      for (const d of digits) {
+        const filled = U.fillPhoneMask(mask, d);
+        if (filled) return filled;
+      }
+    }
+
+    if (el.maxLength > 0) {
+      const hit = variants.find((v) => v.length <= el.maxLength);
+      if (hit) return hit;
+    }
+    return variants[0];
+  }
+
+  // Dial-code selects / comboboxes / inputs get "+90"; the phone input
+  // beside each one is returned as national-only
+  async function fillPhoneParts(profile, report, els, enabledTypes, fresh) {
+    const claimed = new Set();
+    const national = new Set();
+    if (!enabledTypes.includes("phone")) return { claimed, national };
+
+    const dials = els.filter(isDialCodeField);
+    for (const el of els) {
+      if ((el.getAttribute("autocomplete") || "").trim() === "tel-national") {
+        national.add(el);
+      }
+    }
+    const parsed = U.parsePhone(profile.phone, phoneHome(profile));
+
+    for (const el of dials) {
+      claimed.add(el);
+      // Tightest container that also holds the number input
+      const isPartner = (x, box) =>
+        x !== el &&
+        !dials.includes(x) &&
+        x.tagName.toLowerCase() === "input" &&
+        box.contains(x);
+      let box = el.parentElement;
+      for (let depth = 0; box && depth < 4; depth++) {
+        const inputs = els.filter((x) => isPartner(x, box));
+        const partner =
+          inputs.find(
+            (x) => x.type === "tel" || PHONE_WORD_RE.test(phoneSignalText(x)),
+          ) || (inputs.length === 1 ? inputs[0] : null);
+        if (partner) national.add(partner);
+        if (inputs.length) break;
+        box = box.parentElement;
+      }
+
+      if (!parsed || !fresh(el)) continue;
+      const desired = isCombobox(el)
+        ? `+${parsed.code}`
+        : dialCodeValue(el, parsed);
+      if (!desired) {
+        report.stats.skipped++;
+        report.items.push({
+          type: "phone",
+          part: "countryCode",
+          ref: fieldRef(el),
+          action: "skipped",
+          reason: `phone: no option for +${parsed.code}`,
+        });
+        continue;
+      }
+      report.stats.matched++;
+      await commitValue(
+        el,
+        { type: "phone", part: "countryCode", source: "phone-parts" },
+        desired,
+        report,
+      );
+    }
+    return { claimed, national };
+  }
+
+  // ---- Repeatable sections (work history / education) ----
+
+  const LIST_KIND_PATTERNS = {
+    positions:
+      /experien|employ|work[-_ ]?history|job|career|deneyim|tecr[uü]be|i[sş] ge[cç]mi[sş]i/i,
+    schools:
+      /educat|school|universit|college|academ|e[gğ]itim|[oö][gğ]renim|okul|[uü]niversite/i,
+  };
+  const ADD_BUTTON_RE = /\badd\b|another|\+|ekle|yeni/i;
+  const REMOVE_BUTTON_RE = /remove|delete|\bsil\b|kald[ıi]r/i;
+  const LIST_MIN_SCORE = 18;
+  // Page wrappers far up ("career-portal", "job-application") carry list
+  // words in their class/id; only the nearest containers are read that way
+  const LIST_ATTR_DEPTH = 3;
+
+  function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  function containerText(node, attrs = true) {
+    const parts = [
+      node.getAttribute?.("name"),
+      node.getAttribute?.("aria-label"),
+    ];
+    if (attrs)
+      parts.push(node.getAttribute?.("id"), node.getAttribute?.("class"));
+    const heading = node.querySelector?.(
+      ":scope > legend, :scope > h2, :scope > h3, :scope > h4, :scope > h5",
+    );
+    if (heading) parts.push(heading.textContent);
+    return parts.filter(Boolean).join(" ");
+  }
+
+  function matchListKind(text) {
+    for (const [kind, re] of Object.entries(LIST_KIND_PATTERNS)) {
+      if (re.test(text)) return kind;
+    }
+    return null;
+  }
+
+  // The element's own name/id may name the list; the section is the nearest
+  // container (below <form>) that does: by legend/heading/label at any
+  // depth, by class/id only within LIST_ATTR_DEPTH levels.
+  function detectListSection(el) {
+    const own = matchListKind(containerText(el));
+    let node = el.parentElement;
+    for (let depth = 0; node && depth < 8; depth++) {
+      if ((node.tagName || "").toLowerCase() === "form") break;
+      const kind = matchListKind(containerText(node, depth < LIST_ATTR_DEPTH));
+      if (kind && (!own || kind === own)) return { kind, node };
+      node = node.parentElement;
+    }
+    return own ? { kind: own, node: el.parentElement } : null;
+  }
+
+  // Blocks are cut in document order: a key seen twice starts a new block
+  // ("Experience 1 / Experience 2" layouts).
+  function collectListBlocks(kind) {
+    const keys = U.LIST_FIELDS[kind];
+    const blocks = [];
+    let block = null;
+
+    for (const el of collectFillTargets()) {
+      const section = detectListSection(el);
+      if (section?.kind !== kind) continue;
+
+      let best = { key: null, score: -999999, reasons: [] };
+      for (const k of keys) {
+        const r = U.scoreFieldType(el, `${kind}.${k}`);
+        if (r.score > best.score)
+          best = { key: k, score: r.score, reasons: r.reasons };
+      }
+      if (best.score < LIST_MIN_SCORE) continue;
+
+      if (!block || block.fields.has(best.key)) {
+        block = { section: section.node, fields: new Map() };
+        blocks.push(block);
+      }
+      block.fields.set(best.key, {
+        el,
+        score: best.score,
+        reasons: best.reasons,
+      });
+    }
+
+    return blocks.filter((b) => b.fields.size >= 2);
+  }
+
+  function findAddButton(kind, blocks) {
+    const section = blocks.length ? blocks[blocks.length - 1].section : null;
+    let best = null;
+    let bestScore = 0;
+
+    const buttons = document.querySelectorAll(
+      "button, a, [role='button'], input[type='button']",
+    );
+    for (const btn of buttons) {
+      if (!U.isVisible(btn)) continue;
+      const text = [
+        btn.innerText,
+        btn.value,
+        btn.getAttribute("aria-label"),
+        btn.getAttribute("title"),
+      ]
+        .filter(Boolean)
+        .join(" ");
+      if (!ADD_BUTTON_RE.test(text) || REMOVE_BUTTON_RE.test(text)) continue;
+
+      let score = 0;
+      if (LIST_KIND_PATTERNS[kind].test(text)) score += 2;
+      if (section?.contains(btn)) score += 1;
+      else if (section?.parentElement?.contains(btn)) score += 0.5;
+
+      if (score > bestScore) {
+        best = btn;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  async function fillListSections(
+    profile,
+    report,
+    { fresh = () => true, allowAdd = true } = {},
+  ) {
+    const claimed = new Set();
+
+    for (const kind of Object.keys(U.LIST_FIELDS)) {
+      const entries = profile[kind] || [];
+      if (!entries.length) continue;
+
+      let blocks = collectListBlocks(kind);
+
+      // Click "Add another" until there is one block per entry
+      for (
+        let tries = 0;
+        allowAdd &&
+        blocks.length < entries.length &&
+        tries < entries.length + 2;
+        tries++
+      ) {
+        const btn = findAddButton(kind, blocks);
+        if (!btn) break;
+        if (STATE.fillPolicy.dryRun) {
+          report.items.push({
+            type: kind,
+            action: "dry-run",
+            reason: `add-block x${entries.length - blocks.length}`,
+          });
+          break;
+        }
+        btn.click();
+        await sleep(400);
+        // The new block's labels and the shifted layout are read afresh
+        U.resetSignalPass();
+        const next = collectListBlocks(kind);
+        if (next.length <= blocks.length) break;
+        blocks = next;
+        report.items.push({
+          type: kind,
+          action: "added-block",
+          reason: `blocks: ${blocks.length}`,
+        });
+      }
+
+      for (const [index, block] of blocks.entries()) {
+        const entry = entries[index] || null;
+        for (const [key, f] of block.fields) {
+          claimed.add(f.el);
+          if (!fresh(f.el)) continue;
+          let desired = entry ? entry[key] : "";
+          if (desired && U.DATE_KEYS.has(key)) {
+            desired = dateValueFor(f.el, desired);
+          }
+          if (!desired) continue;
+          report.stats.matched++;
+          await commitValue(
+            f.el,
+            { type: `${kind}.${key}`, index, score: f.score },
+            desired,
+            report,
+          );
+        }
+      }
+    }
+
+    return claimed;
+  }
+
+  // ---- Screening questions (radio groups / checkboxes) ----
+
+  function isChoiceVisible(el) {
+    if (U.isVisible(el)) return true;
+    // Styled radios often hide the native input behind their label
+    const id = el.getAttribute("id");
+    const lbl =
+      el.closest("label") ||
+      (id ? document.querySelector(`label[for="${CSS.escape(id)}"]`) : null);
+    return !!lbl && U.isVisible(lbl);
+  }
+
+  // Option whose label equals the answer, else one that contains it
+  function findOptionByText(group, answer) {
+    const want = U.foldText(answer);
+    if (!want) return null;
+    const labels = group.map((el) => U.foldText(U.getOptionLabel(el)));
+    const exact = labels.findIndex((l) => l === want);
+    if (exact >= 0) return group[exact];
+    const partial = labels.findIndex(
+      (l) => l.includes(want) || want.includes(l),
+    );
+    return partial >= 0 ? group[partial] : null;
+  }
+
+  // Screening answers first, then radio answers from the Q&A bank
+  function resolveChoiceGroup(group, question, profile) {
+    const key = U.matchScreeningQuestion(question);
+    const answer = key ? profile.answers?.[key] : "";
+    if (answer) {
+      const def = U.SCREENING_QUESTIONS[key];
+      // Lone checkbox: checked means "yes" to its own label
+      const single =
+        group.length === 1 &&
+        group[0].type === "checkbox" &&
+        def.kind === "yesno";
+      const options = def.kind === "yesno" ? U.YES_NO_OPTIONS : def.options;
+      return {
+        item: { type: `answers.${key}`, question: question.slice(0, 120) },
+        answer,
+        single,
+        target: single
+          ? group[0]
+          : group.find(
+              (el) =>
+                U.matchChoiceOption(U.getOptionLabel(el), options) === answer,
+            ),
+      };
+    }
+
+    const qa = U.matchQaEntry(question, profile.qaBank, ["radio"]);
+    if (qa) {
+      return {
+        item: {
+          type: "qa",
+          source: "qa",
+          question: question.slice(0, 120),
+          score: Math.round(qa.score * 100),
+        },
+        answer: qa.entry.answer,
+        single: false,
+        target: findOptionByText(group, qa.entry.answer),
+      };
+    }
+    return null;
+  }
+
+  function fillChoiceGroups(profile, report, unmatched, fresh = () => true) {
+    const inputs = U.buildCandidateList({ includeShadow: true }).filter(
+      (el) =>
+        U.isChoiceElement(el) &&
+        fresh(el) &&
+        isChoiceVisible(el) &&
+        !shouldNeverFillElement(el),
+    );
+
+    for (const group of U.collectChoiceGroups(inputs)) {
+      const question = U.getChoiceGroupQuestion(group);
+      const plan = resolveChoiceGroup(group, question, profile);
+      if (!plan) {
+        if (
+          question &&
+          group[0].type === "radio" &&
+          !group.some((el) => el.checked)
+        ) {
+          unmatched.push({
+            question,
+            kind: "radio",
+            options: group.map(U.getOptionLabel).slice(0, 8),
+          });
+        }
+        continue;
+      }
+
+      const { answer, single, target } = plan;
+      const item = { ...plan.item, ref: fieldRef(target || group[0]) };
+      report.stats.matched++;
+
+      const wantChecked = single ? answer === "yes" : true;
+      const current = group.filter((el) => el.checked).map(U.getOptionLabel);
+
+      if (!target) {
+        report.stats.skipped++;
+        report.items.push({
+          ...item,
+          action: "skipped",
+          reason: `no option for "${answer}"`,
+        });
+        continue;
+      }
+      if (!!target.checked === wantChecked) {
+        report.stats.skipped++;
+        report.items.push({
+          ...item,
+          action: "skipped",
+          reason: "already selected",
+          current: current.join(", "),
+        });
+        continue;
+      }
+      // A ticked lone checkbox is the user's answer too
+      if (STATE.fillPolicy.skipIfNotEmpty && current.length) {
+        report.stats.skipped++;
+        report.items.push({
+          ...item,
+          action: "skipped",
+          reason: "not-empty (skipIfNotEmpty)",
+          current: single ? "checked" : current.join(", "),
+        });
+        continue;
+      }
+
+      const label = single
+        ? wantChecked
+          ? "checked"
+          : "unchecked"
+        : U.getOptionLabel(target);
+
+      if (STATE.fillPolicy.dryRun) {
+        report.items.push({
+          ...item,
+          action: "dry-run",
+          reason: "dry-run enabled",
+          to: label,
+        });
+        continue;
+      }
+
+      if (STATE.fillPolicy.review) {
+        queueReview(report, {
+          el: target,
+          item,
+          value: label,
+          group,
+          apply: () => U.setChecked(target, wantChecked),
+        });
+        continue;
+      }
+
+      const restore = snapshotFor(target, { group });
+      const res = U.setChecked(target, wantChecked);
+      if (!res.ok) {
+        report.stats.errors++;
+        report.items.push({
+          ...item,
+          action: "error",
+          reason: res.error || "checked state did not stick",
+        });
+        continue;
+      }
+      report.stats.filled++;
+      report.items.push({
+        ...item,
+        action: "filled",
+        from: current.join(", "),
+        to: label,
+        undoId: recordUndo(target, item, restore),
+      });
+    }
+  }
+
+  // ---- File uploads (CV / cover letter) ----
+
+  const FILE_KIND_PATTERNS = {
+    coverLetter:
+      /cover[-_ ]?letter|motivation|covering|[oö]n[-_ ]?yaz[ıi]|niyet mektubu/i,
+    resume: /resume|r[ée]sum[ée]|\bcv\b|curriculum|[oö]zge[cç]mi[sş]/i,
+  };
+  const DROPZONE_SELECTOR =
+    "[class*='dropzone'], [class*='drop-zone'], [class*='upload'], [data-testid*='upload'], [data-automation-id*='upload']";
+
+  function fileInputTexts(input) {
+    const own = U.getElementTextSignals(input)
+      .map((sig) => sig.text)
+      .join(" ");
+    // Hidden inputs inside a dropzone: the zone carries the visible text
+    const zone = input.closest(DROPZONE_SELECTOR) || input.parentElement;
+    const around = zone
+      ? `${zone.innerText || ""} ${zone.getAttribute("aria-label") || ""}`
+      : "";
+    return { own, around };
+  }
+
+  // Own label first, then the surrounding zone. A combined "Resume / cover
+  // letter" field takes the CV.
+  function classifyFileInput(input, onlyInput) {
+    const { own, around } = fileInputTexts(input);
+    for (const [text, where] of [
+      [own, "label"],
+      [around, "dropzone"],
+    ]) {
+      if (FILE_KIND_PATTERNS.resume.test(text))
+        return { kind: "resume", reason: `${where}: resume/CV` };
+      if (FILE_KIND_PATTERNS.coverLetter.test(text))
+        return { kind: "coverLetter", reason: `${where}: cover letter` };
+    }
+    if (onlyInput) return { kind: "resume", reason: "only file input" };
+    return null;
+  }
+
+  function acceptsFile(input, file) {
+    const accept = (input.getAttribute("accept") || "").trim();
+    if (!accept) return true;
+    const name = file.name.toLowerCase();
+    const type = (file.type || "").toLowerCase();
+    return accept
+      .split(",")
+      .map((a) => a.trim().toLowerCase())
+      .some((a) => {
+        if (!a) return false;
+        if (a.startsWith(".")) return name.endsWith(a);
+        if (a.endsWith("/*")) return type.startsWith(a.slice(0, -1));
+        return type === a;
+      });
+  }
+
+  function storedToFile(stored) {
+    const [head, b64] = String(stored.dataUrl || "").split(",");
+    const mime = (head.match(/^data:([^;]+)/) || [])[1] || stored.type;
+    const bin = atob(b64 || "");
+    const bytes = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    return new File([bytes], stored.name, { type: mime });
+  }
+
+  function attachFile(input, stored) {
+    try {
+      const dt = new DataTransfer();
+      dt.items.add(storedToFile(stored));
+      input.files = dt.files;
+      input.dispatchEvent(new Event("input", { bubbles: true }));
+      input.dispatchEvent(new Event("change", { bubbles: true }));
+      return { ok: input.files.length > 0 };
+    } catch (e) {
+      return { ok: false, error: String(e) };
+    }
+  }
+
+  function fillFileInputs(files, report, adapter = null, fresh = () => true) {
+    if (!files || !files.length) return;
+
+    const inputs = U.buildCandidateList({ includeShadow: true }).filter(
+      (el) =>
+        (el.tagName || "").toLowerCase() === "input" &&
+        (el.getAttribute("type") || "").toLowerCase() === "file" &&
+        !el.disabled &&
+        fresh(el),
+    );
+    for (const input of inputs) {
+      const cls =
+        adapterFileKind(input, adapter) ||
+        classifyFileInput(input, inputs.length === 1);
+      if (!cls) continue;
+
+      const label = U.getElementTextSignals(input).find((sig) =>
+        /label|aria/.test(sig.source),
+      );
+      const field = (label?.text || fileInputTexts(input).around || "file")
+        .replace(/\s+/g, " ")
+        .trim()
+        .slice(0, 80);
+      const item = {
+        type: `file.${cls.kind}`,
+        field,
+        match: cls.reason,
+        ref: fieldRef(input),
+      };
+      report.stats.matched++;
+
+      const candidates = files.filter((f) => f.kind === cls.kind);
+      const stored = candidates.find((f) => acceptsFile(input, f));
+      if (!stored) {
+        report.stats.skipped++;
+        report.items.push({
+          ...item,
+          action: "skipped",
+          reason: candidates.length
+            ? `accept="${input.getAttribute("accept")}" rejects stored files`
+            : `no stored ${cls.kind} file`,
+        });
+        continue;
+      }
+
+      if (STATE.fillPolicy.skipIfNotEmpty && input.files?.length) {
+        report.stats.skipped++;
+        report.items.push({
+          ...item,
+          action: "skipped",
+          reason: "not-empty (skipIfNotEmpty)",
+          current: input.files[0].name,
+        });
+        continue;
+      }
+
+      if (STATE.fillPolicy.dryRun) {
+        report.items.push({
+          ...item,
+          action: "dry-run",
+          reason: "dry-run enabled",
+          to: stored.name,
+        });
+        continue;
+      }
+
+      if (STATE.fillPolicy.review) {
+        queueReview(report, {
+          el: input,
+          item,
+          value: stored.name,
+          apply: () => attachFile(input, stored),
+        });
+        continue;
+      }
+
+      const restore = snapshotFor(input);
+      const res = attachFile(input, stored);
+      if (!res.ok) {
+        report.stats.errors++;
+        report.items.push({
+          ...item,
+          action: "error",
+          reason: res.error || "file not accepted by input",
+        });
+        continue;
+      }
+      report.stats.filled++;
+      report.items.push({
+        ...item,
+        action: "filled",
+        to: stored.name,
+        undoId: recordUndo(input, item, restore),
+      });
+    }
+  }
+
+  // ---- Undo journal: previous state of every write, per fill ----
+
+  const UNDO_MAX_BATCHES = 5;
+
+  function beginUndoBatch() {
+    const batches = STATE.undo.batches;
+    batches.push([]);
+    if (batches.length > UNDO_MAX_BATCHES) batches.shift();
+  }
+
+  // Assist passes, review accepts and AI drafts join the latest fill
+  function recordUndo(el, item, restore) {
+    const batches = STATE.undo.batches;
+    if (!batches.length) beginUndoBatch();
+    const id = ++STATE.undo.seq;
+    batches[batches.length - 1].push({ id, el, type: item.type, restore });
+    return id;
+  }
+
+  function dispatchInputEvents(el) {
+    el.dispatchEvent(new Event("input", { bubbles: true }));
+    el.dispatchEvent(new Event("change", { bubbles: true }));
+  }
+
+  // Captures the element's state now; the returned function puts it back
+  function snapshotFor(el, { group, fill } = {}) {
+    const tag = (el.tagName || "").toLowerCase();
+    const type = (el.getAttribute("type") || "").toLowerCase();
+
+    if (type === "radio" || type === "checkbox") {
+      const states = (group || [el]).map((x) => [x, !!x.checked]);
+      return () => {
+        for (const [x, was] of states) {
+          if (!!x.checked === was) continue;
+          const res = U.setChecked(x, was);
+          if (!res.ok) return res;
+        }
+        return { ok: true };
+      };
+    }
+
+    if (type === "file") {
+      const files = [...(el.files || [])];
+      return () => {
+        const dt = new DataTransfer();
+        files.forEach((f) => dt.items.add(f));
+        el.files = dt.files;
+        dispatchInputEvents(el);
+        return { ok: true };
+      };
+    }
+
+    if (tag === "select") {
+      const index = el.selectedIndex;
+      return () => {
+        el.selectedIndex = index;
+        dispatchInputEvents(el);
+        return { ok: true };
+      };
+    }
+
+    if (isCombobox(el)) {
+      const text = comboboxText(el);
+      return () =>
+        text
+          ? driveCombobox(el, text)
+          : { ok: false, error: "widget cannot be cleared" };
+    }
+
+    if (tag === "input" || tag === "textarea") {
+      const value = el.value;
+      return () => U.setNativeValue(el, value);
+    }
+
+    // Dropdown widgets: re-pick the previous option when there was one
+    const text = (el.textContent || "").replace(/\s+/g, " ").trim();
+    return () =>
+      WIDGET_EMPTY_RE.test(text)
+        ? { ok: false, error: "widget cannot be cleared" }
+        : (fill || driveCombobox)(el, text);
+  }
+
+  // Restores newest first; no ids = the whole latest fill
+  async function undoEntries(ids = null) {
+    const batches = STATE.undo.batches;
+    let entries;
+    if (ids) {
+      entries = batches.flat().filter((e) => ids.includes(e.id));
+      for (const batch of batches) {
+        for (const e of entries) {
+          const i = batch.indexOf(e);
+          if (i >= 0) batch.splice(i, 1);
+        }
+      }
+    } else {
+      entries = batches.pop() || [];
+    }
+
+    const results = [];
+    for (const entry of entries.reverse()) {
+      // A protected name field would be put back by the lock observer
+      STATE.locked.entries.delete(entry.el);
+      let res;
+      if (!entry.el.isConnected) {
+        res = { ok: false, error: "field no longer on page" };
+      } else {
+        try {
+          res = await entry.restore();
+        } catch (e) {
+          res = { ok: false, error: String(e) };
+        }
+      }
+      results.push({ id: entry.id, type: entry.type, ...res });
+    }
+    return results;
+  }
+
+  // ---- Report refs: the popup points at a report row's field ----
+
+  const FLASH_OUTLINE = "3px solid #5b8cff";
+  const FLASH_MS = 1600;
+
+  // Stable per field for the page's life, so rows from earlier passes
+  // still point at their field
+  function fieldRef(el) {
+    let ref = STATE.refs.ids.get(el);
+    if (!ref) {
+      ref = ++STATE.refs.seq;
+      STATE.refs.ids.set(el, ref);
+      STATE.refs.els.set(ref, new WeakRef(el));
+    }
+    return ref;
+  }
+
+  function flashField(ref) {
+    const el = STATE.refs.els.get(ref)?.deref();
+    if (!el?.isConnected) {
+      return { ok: false, error: "field no longer on page" };
+    }
+    // Styled radios hide the input; the label is what can be seen
+    const target = U.isVisible(el) ? el : el.closest("label") || el;
+    target.scrollIntoView({ block: "center", behavior: "smooth" });
+    const before = target.style.outline;
+    target.style.outline = FLASH_OUTLINE;
+    setTimeout(() => {
+      target.style.outline = before;
+    }, FLASH_MS);
+    return { ok: true };
+  }
+
+  // ---- Assist session: keep filling fields that render after the click ----
+
+  const ASSIST_DELAY_MS = 700;
+  const ASSIST_FIELD_SELECTOR = "input, select, textarea, button";
+
+  function isOwnUi(node) {
+    const el = node.nodeType === 1 ? node : node.parentElement;
+    return !!el?.closest?.("[id^='cva-']");
+  }
+
+  // Only mutations that add or reveal form fields schedule a pass
+  function mutationAddsFields(m) {
+    if (isOwnUi(m.target)) return false;
+    const hasFields = (node) =>
+      node.nodeType === 1 &&
+      !isOwnUi(node) &&
+      (node.matches(ASSIST_FIELD_SELECTOR) ||
+        !!node.querySelector(ASSIST_FIELD_SELECTOR));
+    if (m.type === "attributes") return hasFields(m.target);
+    return [...m.addedNodes].some(hasFields);
+  }
+
+  // Fields a pass starting now would look at. Hidden fields are left out
+  // so a later reveal still fills them; file inputs are usually hidden
+  // behind dropzones and count.
+  function assistCandidates() {
+    const els = U.buildCandidateList({ includeShadow: true }).filter(
+      (el) => el.type === "file" || U.isVisible(el) || isChoiceVisible(el),
+    );
+    for (const widget of detectAdapter()?.widgets || []) {
+      els.push(...document.querySelectorAll(widget.selector));
+    }
+    return els;
+  }
+
+  // Taken before a pass: fields that our own writes reveal (a follow-up
+  // question, a block rendered on a select change) are not seen yet
+  function markAssistSeen(evaluated) {
+    for (const el of evaluated) STATE.assist.seen.add(el);
+  }
+
+  // The observer ignores mutations while a pass writes, so fields the pass
+  // revealed get a pass of their own
+  function scheduleAssistForUnseen() {
+    const assist = STATE.assist;
+    if (!assist.active || assist.timer) return;
+    if (assistCandidates().some((el) => !assist.seen.has(el))) {
+      assist.timer = setTimeout(runAssistPass, ASSIST_DELAY_MS);
+    }
+  }
+
+  async function runAssistPass() {
+    const assist = STATE.assist;
+    assist.timer = null;
+    if (!assist.active) return;
+
+    assist.running = true;
+    try {
+      const evaluated = assistCandidates();
+      const report = await fillInputs(assist.profile, {
+        ...assist.opts,
+        exclude: assist.seen,
+      });
+      markAssistSeen(evaluated);
+      if (report.stats.filled) {
+        assist.filled += report.stats.filled;
+        chrome.runtime.sendMessage(
+          {
+            action: "ASSIST_PROGRESS",
+            filled: report.stats.filled,
+            frame: report.frame,
+          },
+          () => void chrome.runtime.lastError,
+        );
+      }
+    } catch (e) {
+      warn("Assist pass error:", e);
+    } finally {
+      assist.running = false;
+    }
+    scheduleAssistForUnseen();
+  }
+
+  // `evaluated`: the fields the first fill saw, taken before it ran
+  function startAssist(profile, opts, evaluated) {
+    stopAssist();
+    const assist = STATE.assist;
+    Object.assign(assist, {
+      active: true,
+      seen: new WeakSet(),
+      profile,
+      opts,
+      filled: 0,
+    });
+    markAssistSeen(evaluated);
+
+    assist.observer = new MutationObserver((mutations) => {
+      // Our own writes re-render some forms; don't chase them
+      if (assist.running || assist.timer) return;
+      if (!mutations.some(mutationAddsFields)) return;
+      assist.timer = setTimeout(runAssistPass, ASSIST_DELAY_MS);
+    });
+    assist.observer.observe(document.body || document.documentElement, {
+      subtree: true,
+      childList: true,
+      attributes: true,
+      attributeFilter: ["hidden", "style", "class"],
+    });
+    scheduleAssistForUnseen();
+  }
+
+  function stopAssist() {
+    const assist = STATE.assist;
+    assist.observer?.disconnect();
+    clearTimeout(assist.timer);
+    Object.assign(assist, {
+      active: false,
+      observer: null,
+      timer: null,
+      profile: null,
+      opts: null,
+    });
+  }
+
+  // ---- Review mode: planned writes wait for accept / edit / reject ----
+
+  const REVIEW_OUTLINE = "2px dashed #f5a524";
+  const reviewOutlines = new Map();
+
+  // Rows carry an apply(value) closure so every fill step reviews the same way
+  function queueReview(report, row) {
+    STATE.review.rows.push(row);
+    report.review = (report.review || 0) + 1;
+    report.items.push({
+      ...row.item,
+      action: "review",
+      reason: "awaiting approval",
+      to: row.value,
+    });
+  }
+
+  function reviewLabel(row) {
+    const el = row.el;
+    return (
+      row.item.question ||
+      row.item.field ||
+      questionText(el) ||
+      el.getAttribute("name") ||
+      el.id ||
+      el.tagName.toLowerCase()
+    ).slice(0, 80);
+  }
+
+  function highlightTarget(el, on) {
+    // Styled radios hide the input; outline the label instead
+    const target = U.isVisible(el) ? el : el.closest("label") || el;
+    if (on) {
+      if (!reviewOutlines.has(target))
+        reviewOutlines.set(target, target.style.outline);
+      target.style.outline = REVIEW_OUTLINE;
+    } else if (reviewOutlines.has(target)) {
+      target.style.outline = reviewOutlines.get(target);
+      reviewOutlines.delete(target);
+    }
+  }
+
+  async function applyReviewRow(row, value) {
+    STATE.review.rows = STATE.review.rows.filter((r) => r !== row);
+    highlightTarget(row.el, false);
+    if (!row.el.isConnected)
+      return { ok: false, error: "alan artık sayfada yok" };
+    try {
+      const restore = snapshotFor(row.el, row);
+      const res = await row.apply(value);
+      if (!res?.ok) return res;
+      res.undoId = recordUndo(row.el, row.item, restore);
+      // Accepted names are protected like directly filled ones
+      if (
+        STATE.nameLock.enabled &&
+        STATE.nameLock.mode === "PROTECT" &&
+        isNameFieldType(row.item.type)
+      ) {
+        addLockedEntry(row.el, res.to ?? value);
+      }
+      return res;
+    } catch (e) {
+      return { ok: false, error: String(e) };
+    }
+  }
+
+  function rejectReviewRow(row) {
+    STATE.review.rows = STATE.review.rows.filter((r) => r !== row);
+    highlightTarget(row.el, false);
+  }
+
+  function showReviewPanel() {
+    document.getElementById("cva-review-panel")?.remove();
+    const rows = STATE.review.rows;
+    if (!rows.length) return;
+
+    const div = document.createElement("div");
+    div.id = "cva-review-panel";
+    Object.assign(div.style, {
+      position: "fixed",
+      right: "12px",
+      bottom: "12px",
+      zIndex: "2147483647",
+      width: "440px",
+      maxHeight: "70vh",
+      overflow: "auto",
+      padding: "10px",
+      background: "rgba(0,0,0,0.85)",
+      color: "white",
+      font: "12px/1.4 system-ui, sans-serif",
+      borderRadius: "10px",
+      boxShadow: "0 6px 22px rgba(0,0,0,0.35)",
+    });
+
+    const title = document.createElement("div");
+    title.style.fontWeight = "700";
+    title.textContent = `CV Asistan: İnceleme (${rows.length} öneri, onaysız yazılmaz)`;
+    div.appendChild(title);
+
+    const makeButton = (text, onclick) => {
+      const b = document.createElement("button");
+      b.textContent = text;
+      b.style.marginTop = "6px";
+      b.style.marginRight = "6px";
+      b.style.cursor = "pointer";
+      b.onclick = onclick;
+      return b;
+    };
+
+    const pending = [];
+    for (const row of rows) {
+      const box = document.createElement("div");
+      box.style.marginTop = "10px";
+      box.onmouseenter = () => highlightTarget(row.el, true);
+      box.onmouseleave = () => highlightTarget(row.el, false);
+
+      const head = document.createElement("div");
+      head.style.fontWeight = "600";
+      const score =
+        row.item.score != null ? ` · ${Math.round(row.item.score)}` : "";
+      const source = row.item.source ? ` · ${row.item.source}` : "";
+      head.textContent = `${reviewLabel(row)} → ${row.item.type}${score}${source}`;
+      box.appendChild(head);
+
+      if (row.item.reasons?.length) {
+        const why = document.createElement("div");
+        why.style.opacity = "0.7";
+        why.textContent = row.item.reasons.join(", ");
+        box.appendChild(why);
+      }
+
+      const input = document.createElement("input");
+      input.value = row.value;
+      input.disabled = !row.editable;
+      input.style.width = "100%";
+      input.style.boxSizing = "border-box";
+      input.onfocus = () => row.el.scrollIntoView({ block: "center" });
+      box.appendChild(input);
+
+      const accept = async () => {
+        const res = await applyReviewRow(row, input.value);
+        box.textContent = res?.ok
+          ? `✅ ${reviewLabel(row)}`
+          : `❌ ${reviewLabel(row)}: ${res?.error || "yazılamadı"}`;
+        if (!res?.ok) return;
+        const undo = makeButton("Geri al", async () => {
+          const [r] = await undoEntries([res.undoId]);
+          box.textContent = r?.ok
+            ? `↩ ${reviewLabel(row)}`
+            : `❌ ${reviewLabel(row)}: ${r?.error || "geri alınamadı"}`;
+        });
+        undo.style.marginLeft = "8px";
+        box.appendChild(undo);
+      };
+      const reject = () => {
+        rejectReviewRow(row);
+        box.remove();
+      };
+      pending.push({ row, accept, reject });
+
+      box.append(makeButton("Kabul", accept), makeButton("Reddet", reject));
+      div.appendChild(box);
+    }
+
+    const live = () => pending.filter((p) => STATE.review.rows.includes(p.row));
+    const footer = document.createElement("div");
+    footer.style.marginTop = "10px";
+    footer.append(
+      makeButton("Tümünü kabul et", async () => {
+        for (const p of live()) await p.accept();
+      }),
+      makeButton("Tümünü reddet", () => live().forEach((p) => p.reject())),
+      makeButton("Kapat", () => {
+        live().forEach((p) => rejectReviewRow(p.row));
+        div.remove();
+      }),
+    );
+    div.appendChild(footer);
+
+    document.body.appendChild(div);
+  }
+
+  // ---- Job posting extraction ----
+  // schema.org JobPosting (JSON-LD, then microdata) > OpenGraph > headings.
+  // Later sources only fill fields the earlier ones left empty.
+
+  const JOB_FIELDS = [
+    "title",
+    "company",
+    "location",
+    "employmentType",
+    "datePosted",
+    "description",
+  ];
+  const JOB_DESCRIPTION_MAX = 4000;
+
+  function cleanText(text) {
+    return String(text || "")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  function htmlToText(html) {
+    const doc = new DOMParser().parseFromString(
+      String(html || ""),
+      "text/html",
+    );
+    return cleanText(doc.body?.textContent);
+  }
+
+  function metaContent(key) {
+    return cleanText(
+      document.querySelector(`meta[property="${key}"], meta[name="${key}"]`)
+        ?.content,
+    );
+  }
+
+  // "Backend Engineer at Acme", "Backend Engineer - Acme | Careers"
+  function splitTitleCompany(text) {
+    const t = cleanText(text).replace(
+      /\s+[|–—-]\s+(careers?|jobs?|kariyer|iş ilanları?)$/i,
+      "",
+    );
+    const at = t.match(/^(.+?)\s+(?:at|@)\s+(.+)$/i);
+    if (at) return { title: at[1], company: at[2] };
+    const dash = t.match(/^(.+?)\s+[|–—-]\s+(.+?)(?:\s+[|–—-]\s+.*)?$/);
+    if (dash) return { title: dash[1], company: dash[2] };
+    return { title: t, company: "" };
+  }
+
+  function ldName(value) {
+    if (!value) return "";
+    if (typeof value === "string") return value;
+    if (Array.isArray(value)) return ldName(value[0]);
+    return value.name || "";
+  }
+
+  function ldLocation(posting) {
+    const parts = [].concat(posting.jobLocation || []).map((place) => {
+      const a = place?.address || place;
+      if (typeof a === "string") return a;
+      return [a?.addressLocality, a?.addressRegion, ldName(a?.addressCountry)]
+        .filter(Boolean)
+        .join(", ");
+    });
+    if (/TELECOMMUTE/i.test(posting.jobLocationType || ""))
+      parts.push("Remote");
+    return [...new Set(parts.filter(Boolean))].join(" / ");
+  }
+
+  function fromJsonLd() {
+    const postings = [];
+    const visit = (node) => {
+      if (!node || typeof node !== "object") return;
+      if (Array.isArray(node)) return node.forEach(visit);
+      if ([].concat(node["@type"] || []).includes("JobPosting"))
+        postings.push(node);
+      visit(node["@graph"]);
+    };
+    for (const script of document.querySelectorAll(
+      'script[type="application/ld+json"]',
+    )) {
+      try {
+        visit(JSON.parse(script.textContent));
+      } catch {
+        // broken JSON-LD is common; other sources still apply
+      }
+    }
+
+    const p = postings[0];
+    if (!p) return null;
+    return {
+      source: "json-ld",
+      title: cleanText(p.title),
+      company: cleanText(ldName(p.hiringOrganization)),
+      location: ldLocation(p),
+      employmentType: [].concat(p.employmentType || []).join(", "),
+      datePosted: cleanText(p.datePosted),
+      description: htmlToText(p.description),
+    };
+  }
+
+  function fromMicrodata() {
+    const root = document.querySelector('[itemtype*="schema.org/JobPosting"]');
+    if (!root) return null;
+    const prop = (name, scope = root) => {
+      const el = scope?.querySelector(`[itemprop="${name}"]`);
+      return el ? cleanText(el.getAttribute("content") || el.textContent) : "";
+    };
+    const org = root.querySelector('[itemprop="hiringOrganization"]');
+    const place = root.querySelector('[itemprop="jobLocation"]');
+    return {
+      source: "microdata",
+      title: prop("title"),
+      company: prop("name", org) || cleanText(org?.textContent),
+      location:
+        ["addressLocality", "addressRegion", "addressCountry"]
+          .map((k) => prop(k, place))
+          .filter(Boolean)
+          .join(", ") || cleanText(place?.textContent),
+      employmentType: prop("employmentType"),
+      datePosted: prop("datePosted"),
+      description: prop("description"),
+    };
+  }
+
+  function fromOpenGraph() {
+    const ogTitle = metaContent("og:title");
+    if (!ogTitle) return null;
+    const split = splitTitleCompany(ogTitle);
+    return {
+      source: "opengraph",
+      title: split.title,
+      company: split.company || metaContent("og:site_name"),
+      description: metaContent("og:description"),
+    };
+  }
+
+  function pageJobText() {
+    const root =
+      document.querySelector("main, article, [role='main']") || document.body;
+    return (root?.innerText || "")
+      .replace(/\s+/g, " ")
+      .trim()
+      .slice(0, JOB_DESCRIPTION_MAX);
+  }
+
+  function fromHeadings() {
+    const h1 = [...document.querySelectorAll("h1")].find(U.isVisible);
+    const split = splitTitleCompany(document.title);
+    const place = document.querySelector(
+      "[class*='location' i], [data-qa*='location' i], [data-automation-id*='location' i]",
+    );
+    const placeText = cleanText(place?.textContent);
+    return {
+      source: "headings",
+      // A bare page title without a company part is rarely a job title
+      title: cleanText(h1?.textContent) || (split.company ? split.title : ""),
+      company: split.company,
+      location: placeText.length <= 80 ? placeText : "",
+      description: pageJobText(),
+    };
+  }
+
+  function extractJobPosting() {
+    const found = [fromJsonLd, fromMicrodata, fromOpenGraph, fromHeadings]
+      .map((source) => {
+        try {
+          return source();
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean);
+
+    const job = { source: "", url: location.href };
+    for (const key of JOB_FIELDS) {
+      job[key] = found.map((f) => f[key]).find(Boolean) || "";
+    }
+    if (!job.title && !job.description) return null;
+
+    job.source = found.find((f) => f.title)?.source || found[0].source;
+    job.title = job.title.slice(0, 150);
+    job.company = job.company.slice(0, 100);
+    job.description = job.description.slice(0, JOB_DESCRIPTION_MAX);
+    return job;
+  }
+
+  // ---- AI drafts (opt-in; approval only, never auto-filled) ----
+
+  function wantsAiDraft(el) {
+    if (!STATE.ai.enabled) return false;
+    if ((el.tagName || "").toLowerCase() !== "textarea") return false;
+    return !(el.value || "").trim();
+  }
+
+  // Questions reported back so the user can grow the Q&A bank
+  const MAX_UNMATCHED = 20;
+
+  // Which Q&A bank kinds may answer this element
+  function qaKindsFor(el) {
+    return (el.tagName || "").toLowerCase() === "select"
+      ? ["select", "text"]
+      : ["text"];
+  }
+
+  function questionText(el) {
+    const signals = U.getElementTextSignals(el);
+    for (const src of [
+      "label-for",
+      "label-wrap",
+      "aria-label",
+      "near-label",
+      "placeholder",
+    ]) {
+      const sig = signals.find((x) => x.source === src);
+      if (sig) return sig.text.replace(/\s+/g, " ").slice(0, 300);
+    }
+    return "";
+  }
+
+  function collectAiQuestions(els, report) {
+    STATE.ai.pending.clear();
+    report.aiQuestions = [];
+    for (const el of els) {
+      const question = questionText(el);
+      if (!question) continue;
+      const id = `q${++STATE.ai.seq}`;
+      STATE.ai.pending.set(id, el);
+      report.aiQuestions.push({ id, question });
+    }
+  }
+
+  function showAiDrafts(drafts) {
+    document.getElementById("cva-ai-panel")?.remove();
+
+    const div = document.createElement("div");
+    div.id = "cva-ai-panel";
+    Object.assign(div.style, {
+      position: "fixed",
+      left: "12px",
+      bottom: "12px",
+      zIndex: "2147483647",
+      width: "420px",
+      maxHeight: "70vh",
+      overflow: "auto",
+      padding: "10px",
+      background: "rgba(0,0,0,0.85)",
+      color: "white",
+      font: "12px/1.4 system-ui, sans-serif",
+      borderRadius: "10px",
+      boxShadow: "0 6px 22px rgba(0,0,0,0.35)",
+    });
+
+    const title = document.createElement("div");
+    title.style.fontWeight = "700";
+    title.textContent = "CV Asistan: AI taslakları (onayın olmadan yazılmaz)";
+    div.appendChild(title);
+
+    for (const d of drafts) {
+      const el = STATE.ai.pending.get(d.id);
+      const row = document.createElement("div");
+      row.style.marginTop = "10px";
+
+      const q = document.createElement("div");
+      q.style.fontWeight = "600";
+      q.textContent = d.question;
+      row.appendChild(q);
+
+      if (d.error || !el) {
+        const err = document.createElement("div");
+        err.style.color = "#ff9aa5";
+        err.textContent = d.error || "alan artık sayfada yok";
+        row.appendChild(err);
+        div.appendChild(row);
+        continue;
+      }
+
+      const text = document.createElement("textarea");
+      text.value = d.text;
+      text.rows = 6;
+      text.style.width = "100%";
+      text.style.boxSizing = "border-box";
+      text.onfocus = () => el.scrollIntoView({ block: "center" });
+
+      const accept = document.createElement("button");
+      accept.textContent = "Alana yaz";
+      const skip = document.createElement("button");
+      skip.textContent = "Atla";
+      for (const b of [accept, skip]) {
+        b.style.marginTop = "6px";
+        b.style.marginRight = "6px";
+        b.style.cursor = "pointer";
+      }
+      accept.onclick = () => {
+        const restore = snapshotFor(el);
+        const res = U.setNativeValue(el, text.value);
+        if (res.ok) recordUndo(el, { type: "ai" }, restore);
+        row.textContent = res.ok ? `✅ ${d.question}` : `❌ ${res.error}`;
+        STATE.ai.pending.delete(d.id);
+      };
+      skip.onclick = () => {
+        row.remove();
+        STATE.ai.pending.delete(d.id);
+      };
+
+      row.append(text, document.createElement("br"), accept, skip);
+      div.appendChild(row);
+    }
+
+    const close = document.createElement("button");
+    close.textContent = "Kapat";
+    close.style.marginTop = "10px";
+    close.style.cursor = "pointer";
+    close.onclick = () => div.remove();
+    div.appendChild(close);
+
+    document.body.appendChild(div);
+  }
+
+  async function fillInputs(profile, opts = {}) {
+    const startedAt = performance.now();
+    // Milliseconds per phase; each lap() closes the phase that just ran
+    const timing = {};
+    let lapFrom = startedAt;
+    const lap = (phase) => {
+      const now = performance.now();
+      timing[phase] = Math.round(now - lapFrom);
+      lapFrom = now;
+    };
+    const enabledTypes =
+      opts.enabledTypes && Array.isArray(opts.enabledTypes)
+        ? opts.enabledTypes
+        : FIELD_TYPES;
+
+    const report = {
+      frame: getFrameInfo(),
+      stats: { filled: 0, skipped: 0, matched: 0, errors: 0, widgetErrors: 0 },
+      items: [],
+      debug: { enabledTypes, dryRun: STATE.fillPolicy.dryRun },
+    };
+
+    U.beginSignalPass();
+    try {
+      const adapter = detectAdapter();
+      if (adapter) {
+        report.adapter = {
+          id: adapter.id,
+          name: adapter.name,
+          ...describeAdapterFlow(adapter),
+        };
+      }
+
+      // Assist passes only touch fields that appeared since the last pass;
+      // the focused-field shortcut touches only that field
+      const partial = !!(opts.exclude || opts.only);
+      const fresh = opts.only
+        ? (el) => el === opts.only
+        : opts.exclude
+          ? (el) => !opts.exclude.has(el)
+          : () => true;
+
+      const claimed = await fillListSections(profile, report, {
+        fresh,
+        allowAdd: !partial,
+      });
+      lap("lists");
+      const unmatched = [];
+      fillChoiceGroups(profile, report, unmatched, fresh);
+      lap("choices");
+      fillFileInputs(opts.files, report, adapter, fresh);
+      lap("files");
+      await fillAdapterWidgets(adapter, profile, enabledTypes, report, fresh);
+      lap("widgets");
+      const fillables = collectFillTargets().filter((el) => !claimed.has(el));
+      const dateParts = await fillDateGroups(
+        profile,
+        report,
+        fillables,
+        enabledTypes,
+        fresh,
+      );
+      lap("dates");
+      const phoneParts = await fillPhoneParts(
+        profile,
+        report,
+        fillables.filter((el) => !dateParts.has(el)),
+        enabledTypes,
+        fresh,
+      );
+      lap("phones");
+      const targets = fillables.filter(
+        (el) => !dateParts.has(el) && !phoneParts.claimed.has(el) && fresh(el),
+      );
+      const candidates = [];
+
+      const customEntries = Object.entries(opts.customMap || {});
+      const aiTargets = [];
+
+      const qaMatches = [];
+
+      for (const el of targets) {
+        const ranked = rankFieldTypes(el, enabledTypes, customEntries, adapter);
+        // An "ignore" mapping also keeps Q&A and AI drafts away
+        const ignored =
+          matchCustomMap(el, customEntries)?.type === CUSTOM_IGNORE;
+        const best = ranked[0] || { score: -999999 };
+        const question =
+          ignored || best.custom || best.adapter ? "" : questionText(el);
+
+        // Saved Q&A answers outrank the scorer but not taught mappings
+        const qa = question
+          ? U.matchQaEntry(question, profile.qaBank, qaKindsFor(el))
+          : null;
+        if (qa) {
+          qaMatches.push({ el, question, qa });
+          continue;
+        }
+
+        if (best.score < MATCH_MIN_SCORE) {
+          // Free-text questions the scorer can't place ("Why us?")
+          if (!ignored && wantsAiDraft(el)) aiTargets.push(el);
+          else if (question && !(el.value || "").trim())
+            unmatched.push({ question, kind: qaKindsFor(el)[0] });
+          continue;
+        }
+
+        candidates.push({ el, ranked, top: U.withinTopForm(el) });
+      }
+      lap("scoring");
+
+      const { assigned: matches, lost, others } = assignFieldTypes(candidates);
+      for (const c of lost) {
+        report.items.push({
+          type: c.lostTo.type,
+          action: "lost",
+          score: c.lostTo.score,
+          reason: `lost to a better-scoring field (${c.lostTo.winner})`,
+          label: questionText(c.el).slice(0, 80),
+          ref: fieldRef(c.el),
+        });
+      }
+      for (const c of others) {
+        report.stats.skipped++;
+        report.items.push({
+          type: c.ranked[0].type,
+          action: "skipped",
+          score: c.ranked[0].score,
+          reason: "someone else's field (referrer / reference / contact)",
+          label: questionText(c.el).slice(0, 80),
+          ref: fieldRef(c.el),
+        });
+      }
+      if (STATE.ai.enabled && !partial) collectAiQuestions(aiTargets, report);
+      lap("assignment");
+
+      const assigned = [];
+
+      for (const m of matches) {
+        const el = m.el;
+        const type = m.type;
+        let desired = (profile[type] || "").trim();
+
+        if (type === "coverLetter" && !desired) {
+          desired = (profile.summary || "").trim();
+        }
+
+        // A Turkish il is both the city and the province
+        if (type === "state" && !desired && profile.country === "TR") {
+          desired = (profile.city || "").trim();
+        }
+
+        if (!desired) continue;
+
+        if (DATE_TYPES.includes(type)) {
+          desired = dateValueFor(el, desired);
+          if (!desired) {
+            report.stats.skipped++;
+            report.items.push({
+              type,
+              action: "skipped",
+              score: m.score,
+              reason: "date: profile value has no day/month for this field",
+              ref: fieldRef(el),
+            });
+            continue;
+          }
+        }
+
+        if (PLACE_TYPES.includes(type)) {
+          desired = placeValueFor(el, type, desired);
+        }
+        if (type === "phone") {
+          desired = phoneValueFor(
+            el,
+            desired,
+            phoneHome(profile),
+            phoneParts.national.has(el),
+          );
+        }
+
+        m.desired = desired;
+        assigned.push(m);
+      }
+
+      report.stats.matched += assigned.length + qaMatches.length;
+
+      for (const { el, question, qa } of qaMatches) {
+        await commitValue(
+          el,
+          {
+            type: "qa",
+            source: "qa",
+            question: question.slice(0, 120),
+            score: Math.round(qa.score * 100),
+          },
+          qa.entry.answer,
+          report,
+        );
+      }
+      report.unmatchedQuestions = unmatched.slice(0, MAX_UNMATCHED);
+
+      const debugLines = [];
+
+      for (const m of assigned) {
+        const el = m.el;
+        const type = m.type;
+        const desired = m.desired;
+
+        const item = { type, score: m.score, reasons: m.reasons.slice(0, 3) };
+        if (m.custom) item.source = "custom";
+        else if (m.adapter) item.source = "adapter";
+
+        const ok = await commitValue(el, item, desired, report, () =>
+          enforceNameLockDecision(el, type, profile, report),
+        );
+        if (!ok) continue;
+
+        if (
+          STATE.nameLock.enabled &&
+          STATE.nameLock.mode === "PROTECT" &&
+          isNameFieldType(type)
+        ) {
+          addLockedEntry(el, desired);
+        }
+
+        if (STATE.debug) {
+          debugLines.push(
+            `✅ ${type} (${Math.round(m.score)}) -> "${desired}"\n  reasons: ${m.reasons.slice(0, 3).join(", ")}`,
+          );
+        }
+      }
+      lap("writes");
+
+      if (STATE.debug) {
+        makeOverlay(
+          `CV Asistan Debug (${report.frame.frame})\n` +
+            `Filled: ${report.stats.filled}, Skipped: ${report.stats.skipped}, Errors: ${report.stats.errors}\n\n` +
+            debugLines.slice(0, 12).join("\n\n"),
+        );
+      }
+
+      if (report.review) showReviewPanel();
+      // Posting details for the tracker, templates and AI drafts
+      if (!partial) report.job = extractJobPosting();
+
+      log("Fill report:", report);
+    } catch (e) {
+      report.stats.errors++;
+      report.items.push({ action: "fatal", reason: String(e) });
+      error("fillInputs fatal:", e);
+    } finally {
+      U.endSignalPass();
+    }
+
+    report.timingMs = {
+      total: Math.round(performance.now() - startedAt),
+      ...timing,
+    };
+    return report;
+  }
+
+  // ---- Single fields: context menu insert and the focused-field shortcut ----
+
+  // The menu click names this frame, not the field; remember what was
+  // right-clicked (activeElement can lag behind)
+  document.addEventListener(
+    "contextmenu",
+    (e) => {
+      STATE.menuTarget = e.composedPath?.()[0] || e.target;
+    },
+    true,
+  );
+
+  function deepActiveElement() {
+    let el = document.activeElement;
+    while (el?.shadowRoot?.activeElement) el = el.shadowRoot.activeElement;
+    return el;
+  }
+
+  function singleFieldTarget(el) {
+    if (!el?.isConnected || el.disabled || el.readOnly) return null;
+    if (!U.isFillableElement(el) || shouldNeverFillElement(el)) return null;
+    return el;
+  }
+
+  function focusedFillTarget() {
+    return document.hasFocus() ? singleFieldTarget(deepActiveElement()) : null;
+  }
+
+  // Replaces the selection (or inserts at the caret) where the field allows
+  // it, otherwise the whole value; undoable like a fill. `country` is the
+  // profile's, so phones get the same home country as in a full fill.
+  function insertValue(el, text, type, country) {
+    const tag = el.tagName.toLowerCase();
+    if (tag === "select") return { ok: false, error: "select field" };
+    if (DATE_TYPES.includes(type)) text = dateValueFor(el, text) || text;
+    if (type === "phone")
+      text = phoneValueFor(el, text, phoneHome({ country }));
+    if (PLACE_TYPES.includes(type)) text = placeValueFor(el, type, text);
+
+    let next = text;
+    const start = el.selectionStart;
+    const end = el.selectionEnd;
+    const caret = typeof start === "number" && typeof end === "number";
+    if (caret) next = el.value.slice(0, start) + text + el.value.slice(end);
+
+    beginUndoBatch();
+    const restore = snapshotFor(el);
+    const res = U.setNativeValue(el, next);
+    if (!res.ok) return res;
+    recordUndo(el, { type }, restore);
+    if (caret) {
+      try {
+        el.setSelectionRange(start + text.length, start + text.length);
+      } catch {
+        // some input types have no selection API
+      }
+    }
+    return { ok: true };
+  }
+
+  // ---- Teach mode: click a field, pick a profile key, save a selector ----
+
+  const TEACH = {
+    active: false,
+    hover: null,
+    panel: null,
+    outlines: new WeakMap(),
+  };
+  const TEACH_OUTLINE = "2px solid #5b8cff";
+
+  function teachTarget(node) {
+    const el = node?.closest?.("input, textarea, select");
+    if (!el || !U.isFillableElement(el) || shouldNeverFillElement(el))
+      return null;
+    return el;
+  }
+
+  function setTeachHover(el) {
+    if (TEACH.hover === el) return;
+    if (TEACH.hover) {
+      TEACH.hover.style.outline = TEACH.outlines.get(TEACH.hover) || "";
+    }
+    TEACH.hover = el;
+    if (el) {
+      TEACH.outlines.set(el, el.style.outline);
+      el.style.outline = TEACH_OUTLINE;
+    }
+  }
+
+  function closeTeachPanel() {
+    TEACH.panel?.remove();
+    TEACH.panel = null;
+  }
+
+  function openTeachPanel(el) {
+    closeTeachPanel();
+    const signals = U.getElementTextSignals(el);
+    const label =
+      signals.find((sig) => /label/.test(sig.source))?.text ||
+      signals[0]?.text ||
+      el.tagName.toLowerCase();
+    const selector = U.buildStableSelector(el);
+    const guess = chooseBestMatch(el, FIELD_TYPES);
+
+    const div = document.createElement("div");
+    div.id = "cva-teach-panel";
+    Object.assign(div.style, {
+      position: "fixed",
+      right: "12px",
+      top: "12px",
+      zIndex: "2147483647",
+      width: "300px",
+      padding: "10px",
+      background: "rgba(0,0,0,0.85)",
+      color: "white",
+      font: "12px/1.4 system-ui, sans-serif",
+      borderRadius: "10px",
+      boxShadow: "0 6px 22px rgba(0,0,0,0.35)",
+    });
+
+    const title = document.createElement("div");
+    title.style.fontWeight = "700";
+    title.textContent = "CV Asistan: alanı eşle";
+    const info = document.createElement("div");
+    info.style.margin = "6px 0";
+    info.textContent = `${label.slice(0, 80)}\n${selector}`;
+    info.style.whiteSpace = "pre-wrap";
+
+    const select = document.createElement("select");
+    select.style.width = "100%";
+    for (const [value, text] of [
+      ...FIELD_TYPES.map((t) => [t, t]),
+      [CUSTOM_IGNORE, "— bu alanı doldurma"],
+    ]) {
+      const opt = document.createElement("option");
+      opt.value = value;
+      opt.textContent = text;
+      select.appendChild(opt);
+    }
+    if (guess.type) select.value = guess.type;
+
+    const save = document.createElement("button");
+    save.textContent = "Kaydet";
+    const cancel = document.createElement("button");
+    cancel.textContent = "İptal (Esc)";
+    for (const b of [save, cancel]) {
+      b.style.marginTop = "8px";
+      b.style.marginRight = "6px";
+      b.style.cursor = "pointer";
+    }
+
+    save.onclick = () => {
+      chrome.runtime.sendMessage(
+        { action: "TEACH_SAVE", selector, field: select.value },
+        (res) => {
+          if (chrome.runtime.lastError || !res?.ok) {
+            info.textContent = "Kaydedilemedi: " + (res?.error || "hata");
+            return;
+          }
+          stopTeach();
+        },
+      );
+    };
+    cancel.onclick = () => closeTeachPanel();
+
+    div.append(title, info, select, document.createElement("br"), save, cancel);
+    document.body.appendChild(div);
+    TEACH.panel = div;
+  }
+
+  function onTeachMouseOver(e) {
+    if (TEACH.panel?.contains(e.target)) return;
+    setTeachHover(teachTarget(e.target));
+  }
+
+  function onTeachClick(e) {
+    if (TEACH.panel?.contains(e.target)) return;
+    const el = teachTarget(e.target);
+    if (!el) return;
+    e.preventDefault();
+    e.stopPropagation();
+    setTeachHover(el);
+    openTeachPanel(el);
+  }
+
+  function onTeachKey(e) {
+    if (e.key === "Escape") stopTeach();
+  }
+
+  function startTeach() {
+    if (TEACH.active) return;
+    TEACH.active = true;
+    document.addEventListener("mouseover", onTeachMouseOver, true);
+    document.addEventListener("click", onTeachClick, true);
+    document.addEventListener("keydown", onTeachKey, true);
+  }
+
+  function stopTeach() {
+    if (!TEACH.active) return;
+    TEACH.active = false;
+    document.removeEventListener("mouseover", onTeachMouseOver, true);
+    document.removeEventListener("click", onTeachClick, true);
+    document.removeEventListener("keydown", onTeachKey, true);
+    setTeachHover(null);
+    closeTeachPanel();
+  }
+
+  chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
+    (async () => {
+      try {
+        if (!request || !request.action) return;
+
+        if (request.action === "PING") {
+          sendResponse({ ok: true, ...getFrameInfo() });
+          return;
+        }
+
+        if (request.action === "JOB_POSTING") {
+          sendResponse({
+            ok: true,
+            job: extractJobPosting(),
+            ...getFrameInfo(),
+          });
+          return;
+        }
+
+        if (request.action === "AI_DRAFTS") {
+          showAiDrafts(request.drafts || []);
+          sendResponse({ ok: true, ...getFrameInfo() });
+          return;
+        }
+
+        if (request.action === "TEACH_START") {
+          startTeach();
+          sendResponse({ ok: true, ...getFrameInfo() });
+          return;
+        }
+
+        if (request.action === "TEACH_STOP") {
+          stopTeach();
+          sendResponse({ ok: true, ...getFrameInfo() });
+          return;
+        }
+
+        if (request.action === "TOGGLE_DEBUG") {
+          setDebug(!!request.debug);
+          sendResponse({ ok: true, debug: STATE.debug, ...getFrameInfo() });
+          return;
+        }
+
+        if (request.action === "FILL_FORM") {
+          // Focused-field shortcut: frames without the focus sit this out
+          const focused = request.focused ? focusedFillTarget() : null;
+          if (request.focused && !focused) {
+            sendResponse({ ok: true, report: null });
+            return;
+          }
+
+          const rawProfile = request.profile || {};
+          const settings = request.settings || {};
+          const opts = { ...(request.options || {}), files: request.files };
+          if (focused) opts.only = focused;
+
+          applySettings(settings);
+          STATE.review.rows = [];
+          beginUndoBatch();
+
+          const profile = U.normalizeProfile(rawProfile);
+
+          const evaluated = request.assist ? assistCandidates() : [];
+          const report = await fillInputs(profile, opts);
+          if (request.assist) startAssist(profile, opts, evaluated);
+          sendResponse({ ok: true, report });
+          return;
+        }
+
+        if (request.action === "INSERT_VALUE") {
+          const el = singleFieldTarget(
+            STATE.menuTarget?.isConnected
+              ? STATE.menuTarget
+              : deepActiveElement(),
+          );
+          const res = el
+            ? insertValue(
+                el,
+                String(request.value || ""),
+                request.type,
+                request.country,
+              )
+            : { ok: false, error: "field not allowed" };
+          sendResponse({ ...res, ...getFrameInfo() });
+          return;
+        }
+
+        if (request.action === "FLASH_FIELD") {
+          sendResponse({ ...flashField(request.ref), ...getFrameInfo() });
+          return;
+        }
+
+        if (request.action === "UNDO_FILL") {
+          const results = await undoEntries(
+            request.undoId != null ? [request.undoId] : null,
+          );
+          sendResponse({
+            ok: true,
+            undone: results.filter((r) => r.ok).length,
+            errors: results
+              .filter((r) => !r.ok)
+              .map((r) => `${r.type}: ${r.error}`),
+            ...getFrameInfo(),
+          });
+          return;
+        }
+
+        if (request.action === "ASSIST_STOP") {
+          const filled = STATE.assist.filled;
+          stopAssist();
+          sendResponse({ ok: true, filled, ...getFrameInfo() });
           return;
         }
       } catch (e) {
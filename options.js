@@ -7,6 +7,9 @@ const FIELDS = [
   "email",
   "phone",
   "addressLine",
+  "addressLine2",
+  "neighbourhood",
+  "district",
   "city",
   "state",
   "postalCode",
@@ -22,8 +25,95 @@ const FIELDS = [
   "salaryExpectation",
 ];
 
+// Repeatable profile lists: list key -> entry fields (label, textarea?)
+const LIST_EDITORS = {
+  positions: {
+    title: "Pozisyon",
+    fields: [
+      ["company", "Şirket"],
+      ["title", "Pozisyon / Unvan"],
+      ["startDate", "Başlangıç"],
+      ["endDate", "Bitiş"],
+      ["description", "Açıklama", "textarea"],
+    ],
+  },
+  schools: {
+    title: "Okul",
+    fields: [
+      ["institution", "Okul / Üniversite"],
+      ["degree", "Derece"],
+      ["field", "Bölüm / Alan"],
+      ["startYear", "Başlangıç Yılı"],
+      ["endYear", "Bitiş / Mezuniyet Yılı"],
+    ],
+  },
+  qaBank: {
+    title: "Soru",
+    fields: [
+      ["questions", "Soru kalıpları (her satıra bir tane)", "lines"],
+      ["answer", "Cevap", "textarea"],
+      [
+        "kind",
+        "Alan tipi",
+        [
+          ["text", "Metin"],
+          ["select", "Seçim (select)"],
+          ["radio", "Radio"],
+        ],
+      ],
+    ],
+  },
+  templates: {
+    title: "Şablon",
+    fields: [
+      ["name", "Şablon adı"],
+      [
+        "target",
+        "Alan",
+        [
+          ["coverLetter", "Ön yazı"],
+          ["summary", "Özet"],
+        ],
+      ],
+      [
+        "lang",
+        "Dil ({{today}} biçimi)",
+        [
+          ["tr", "Türkçe"],
+          ["en", "English"],
+        ],
+      ],
+      ["body", "Metin", "textarea"],
+    ],
+  },
+};
+
+// Field control per editor spec: text input, textarea, lines or select
+function createListInput(control, value) {
+  if (Array.isArray(control)) {
+    const select = document.createElement("select");
+    for (const [v, label] of control) select.appendChild(new Option(label, v));
+    select.value = value || control[0][0];
+    return select;
+  }
+  if (control === "textarea" || control === "lines") {
+    const area = document.createElement("textarea");
+    area.rows = 3;
+    area.value = Array.isArray(value) ? value.join("\n") : value || "";
+    return area;
+  }
+  const input = document.createElement("input");
+  input.type = "text";
+  input.value = value || "";
+  return input;
+}
+
 const $ = (id) => document.getElementById(id);
 
+// Profile being edited (not necessarily the active one) and the known list
+let currentProfileId = null;
+let profilesList = [];
+
 async function bgSend(msg) {
   return new Promise((resolve) =>
     chrome.runtime.sendMessage(msg, (res) => resolve(res || { ok: false })),
@@ -37,6 +127,151 @@ function setText(id, text) {
   }, 2500);
 }
 
+function renumberEntries(list) {
+  const box = $(`${list}List`);
+  box.querySelectorAll(".entry").forEach((entry, i) => {
+    entry.querySelector(".boxTitle").textContent =
+      `${LIST_EDITORS[list].title} ${i + 1}`;
+  });
+}
+
+function appendEntry(list, data = {}) {
+  const box = $(`${list}List`);
+  const entry = document.createElement("div");
+  entry.className = "entry";
+
+  const head = document.createElement("div");
+  head.className = "entryHead";
+  const title = document.createElement("div");
+  title.className = "boxTitle";
+  head.appendChild(title);
+
+  const controls = [
+    ["↑", () => entry.previousElementSibling?.before(entry)],
+    ["↓", () => entry.nextElementSibling?.after(entry)],
+    ["Sil", () => entry.remove()],
+  ];
+  for (const [label, fn] of controls) {
+    const btn = document.createElement("button");
+    btn.className = label === "Sil" ? "btn danger" : "btn";
+    btn.textContent = label;
+    btn.addEventListener("click", () => {
+      fn();
+      renumberEntries(list);
+    });
+    head.appendChild(btn);
+  }
+  entry.appendChild(head);
+
+  const grid = document.createElement("div");
+  grid.className = "grid";
+  for (const [key, label, control] of LIST_EDITORS[list].fields) {
+    const lbl = document.createElement("label");
+    if (control === "textarea" || control === "lines") lbl.className = "full";
+    lbl.textContent = label;
+    const input = createListInput(control, data[key]);
+    input.dataset.key = key;
+    lbl.appendChild(input);
+    grid.appendChild(lbl);
+  }
+  entry.appendChild(grid);
+
+  box.appendChild(entry);
+  renumberEntries(list);
+}
+
+function renderList(list, entries) {
+  $(`${list}List`).innerHTML = "";
+  for (const e of Array.isArray(entries) ? entries : []) appendEntry(list, e);
+}
+
+function readList(list) {
+  const controls = Object.fromEntries(
+    LIST_EDITORS[list].fields.map(([key, , control]) => [key, control]),
+  );
+  const out = [];
+  for (const entry of $(`${list}List`).querySelectorAll(".entry")) {
+    const item = {};
+    for (const input of entry.querySelectorAll("[data-key]")) {
+      const key = input.dataset.key;
+      item[key] =
+        controls[key] === "lines"
+          ? input.value
+              .split("\n")
+              .map((x) => x.trim())
+              .filter(Boolean)
+          : input.value.trim();
+    }
+    // Select defaults alone don't make an entry worth keeping
+    const filled = Object.entries(item).some(
+      ([key, v]) => !Array.isArray(controls[key]) && v.length,
+    );
+    if (filled) out.push(item);
+  }
+  return out;
+}
+
+function renderAnswerInputs() {
+  const grid = $("answersGrid");
+  grid.innerHTML = "";
+  for (const [key, q] of Object.entries(window.CVAUtils.SCREENING_QUESTIONS)) {
+    const lbl = document.createElement("label");
+    lbl.textContent = q.label;
+    const select = document.createElement("select");
+    select.id = `answer-${key}`;
+
+    const choices =
+      q.kind === "yesno" ? { yes: "Evet", no: "Hayır" } : q.optionLabels;
+    for (const [value, text] of [
+      ["", "— (cevaplama)"],
+      ...Object.entries(choices),
+    ]) {
+      const opt = document.createElement("option");
+      opt.value = value;
+      opt.textContent = text;
+      select.appendChild(opt);
+    }
+    lbl.appendChild(select);
+    grid.appendChild(lbl);
+  }
+}
+
+// Country list (stored as ISO code) and Turkish provinces for the city box
+function renderPlaceInputs() {
+  const U = window.CVAUtils;
+  const select = $("country");
+  select.length = 1;
+  const countries = [...U.COUNTRIES].sort((a, b) =>
+    a.tr.localeCompare(b.tr, "tr"),
+  );
+  for (const c of countries) {
+    const opt = document.createElement("option");
+    opt.value = c.iso2;
+    opt.textContent = c.tr;
+    select.appendChild(opt);
+  }
+  const list = $("provinceList");
+  list.innerHTML = "";
+  for (const p of U.TR_PROVINCES) {
+    const opt = document.createElement("option");
+    opt.value = p.names[0];
+    list.appendChild(opt);
+  }
+}
+
+// Older profiles hold a country name; unknown ones stay as typed
+function showCountry(value) {
+  const select = $("country");
+  const v = window.CVAUtils.countryCode(value) || value || "";
+  if (v && ![...select.options].some((o) => o.value === v)) {
+    const opt = document.createElement("option");
+    opt.value = v;
+    opt.textContent = v;
+    select.appendChild(opt);
+  }
+  select.value = v;
+}
+
 function renderRules(siteRules) {
   const box = $("rulesTable");
   box.innerHTML = "";
@@ -51,51 +286,251 @@ function renderRules(siteRules) {
 
   for (const d of keys) {
     const rule = domains[d]?.rule || "neutral";
+    const pid = domains[d]?.profile;
+    const profileName = pid
+      ? profilesList.find((p) => p.id === pid)?.name || pid
+      : "";
     const row = document.createElement("div");
     row.className = "ruleItem";
-    row.innerHTML = `<div><code>${d}</code></div><div>${rule}</div>`;
+    row.innerHTML = `<div><code>${d}</code></div><div></div>`;
+    row.lastChild.textContent = profileName
+      ? `${rule} · profil: ${profileName}`
+      : rule;
     box.appendChild(row);
+
+    // Taught field mappings (teach mode): selector -> profile key
+    for (const [selector, field] of Object.entries(
+      domains[d]?.customMap || {},
+    )) {
+      const item = document.createElement("div");
+      item.className = "ruleItem customItem";
+      const sel = document.createElement("code");
+      sel.textContent = selector;
+      const to = document.createElement("div");
+      to.textContent = `→ ${field} (custom)`;
+      const del = document.createElement("button");
+      del.className = "btn danger";
+      del.textContent = "Sil";
+      del.addEventListener("click", () => removeCustomMapping(d, selector));
+      item.append(sel, to, del);
+      box.appendChild(item);
+    }
   }
 }
 
-async function loadAll() {
-  const res = await bgSend({ action: "GET_PROFILE" });
+async function removeCustomMapping(domain, selector) {
+  const get = await bgSend({ action: "SITE_RULES_GET" });
+  if (!get.ok) return;
+  const siteRules = get.siteRules || { mode: "neutral", domains: {} };
+  const entry = siteRules.domains?.[domain];
+  if (!entry?.customMap) return;
+  delete entry.customMap[selector];
+
+  const set = await bgSend({ action: "SITE_RULES_SET", siteRules });
+  if (set.ok) {
+    renderRules(siteRules);
+    setText("settingsStatus", `Eşleme silindi: ${domain}`);
+  }
+}
+
+function renderProfileSelects(activeProfileId) {
+  const fill = (select, extra) => {
+    const prev = select.value;
+    select.innerHTML = "";
+    for (const [value, text] of [
+      ...extra,
+      ...profilesList.map((p) => [
+        p.id,
+        p.id === activeProfileId ? `${p.name} (aktif)` : p.name,
+      ]),
+    ]) {
+      const opt = document.createElement("option");
+      opt.value = value;
+      opt.textContent = text;
+      select.appendChild(opt);
+    }
+    select.value = prev;
+    if (select.selectedIndex < 0) select.selectedIndex = 0;
+  };
+
+  fill($("profileSelect"), []);
+  $("profileSelect").value = currentProfileId;
+  fill($("domainProfile"), [["", "— aktif profil"]]);
+  fill($("fileScope"), [["", "Tüm profiller"]]);
+}
+
+async function loadAll(profileId = currentProfileId) {
+  const res = await bgSend({ action: "GET_PROFILE", profileId });
+  await loadVault();
+  await loadSiteAccess();
+  if (res.locked) {
+    // Nothing decrypted stays on screen; settings are not encrypted
+    for (const k of FIELDS) if ($(k)) $(k).value = "";
+    for (const list of Object.keys(LIST_EDITORS)) renderList(list, []);
+    for (const key of Object.keys(window.CVAUtils.SCREENING_QUESTIONS)) {
+      $(`answer-${key}`).value = "";
+    }
+    profilesList = [];
+    renderProfileSelects(null);
+    $("profileName").value = "";
+    $("profileStatus").textContent =
+      "Profiller şifreli ve kilitli. Ayarlar → Profil Şifreleme’den kilidi aç.";
+    const s = await bgSend({ action: "SETTINGS_GET" });
+    if (s.ok) renderSettings(s.settings || {}, s.siteRules);
+    return;
+  }
   if (!res.ok) {
     setText("profileStatus", "Storage okunamadı.");
     return;
   }
+  $("profileStatus").textContent = "";
+
+  currentProfileId = res.profileId;
+  profilesList = res.profiles || [];
+  renderProfileSelects(res.activeProfileId);
+  $("profileName").value =
+    profilesList.find((p) => p.id === currentProfileId)?.name || "";
 
   const profile = res.profile || {};
-  const settings = res.settings || {};
-  const siteRules = res.siteRules || { mode: "neutral", domains: {} };
 
   for (const k of FIELDS) {
     if ($(k)) $(k).value = profile[k] || "";
   }
+  showCountry(profile.country);
+  for (const list of Object.keys(LIST_EDITORS)) renderList(list, profile[list]);
+  for (const key of Object.keys(window.CVAUtils.SCREENING_QUESTIONS)) {
+    $(`answer-${key}`).value = profile.answers?.[key] || "";
+  }
+
+  renderSettings(res.settings || {}, res.siteRules);
+}
+
+function renderSettings(settings, siteRules) {
+  siteRules = siteRules || { mode: "neutral", domains: {} };
 
   $("debug").checked = !!settings.debug;
   $("skipIfNotEmpty").checked = settings.fillPolicy?.skipIfNotEmpty !== false;
   $("dryRun").checked = !!settings.fillPolicy?.dryRun;
+  $("review").checked = !!settings.fillPolicy?.review;
 
   $("nameLockEnabled").checked = settings.nameLock?.enabled !== false;
   $("nameLockMode").value = settings.nameLock?.mode || "IF_EMPTY";
 
+  $("aiEnabled").checked = !!settings.ai?.enabled;
+  $("aiBaseUrl").value = settings.ai?.baseUrl || "";
+  $("aiModel").value = settings.ai?.model || "";
+  $("aiApiKey").value = settings.ai?.apiKey || "";
+  $("vaultLockMinutes").value = settings.vault?.lockMinutes || 15;
+
   $("siteMode").value = siteRules.mode || "neutral";
 
   renderRules(siteRules);
 }
 
+// Dates are stored as ISO (YYYY, YYYY-MM, YYYY-MM-DD); the filler formats
+// them per field. Returns the labels of top-level dates it could not read.
+const DATE_FIELD_LABELS = {
+  dateOfBirth: "Doğum Tarihi",
+  graduationYear: "Mezuniyet Yılı",
+};
+
+function normalizeProfileDates(profile) {
+  const U = window.CVAUtils;
+  const bad = [];
+  for (const [key, label] of Object.entries(DATE_FIELD_LABELS)) {
+    if (profile[key] && !U.parseDate(profile[key])) bad.push(label);
+    profile[key] = U.normalizeDate(profile[key]);
+  }
+  for (const list of Object.keys(U.LIST_FIELDS)) {
+    for (const entry of profile[list]) {
+      for (const key of Object.keys(entry)) {
+        if (U.DATE_KEYS.has(key)) entry[key] = U.normalizeDate(entry[key]);
+      }
+    }
+  }
+  return bad;
+}
+
 async function saveProfile() {
   const profile = {};
   for (const k of FIELDS) profile[k] = ($(k)?.value || "").trim();
+  for (const list of Object.keys(LIST_EDITORS)) profile[list] = readList(list);
+  const badDates = normalizeProfileDates(profile);
+  profile.answers = {};
+  for (const key of Object.keys(window.CVAUtils.SCREENING_QUESTIONS)) {
+    const v = $(`answer-${key}`).value;
+    if (v) profile.answers[key] = v;
+  }
 
-  const res = await bgSend({ action: "SET_PROFILE", profile });
-  if (!res.ok) setText("profileStatus", "Kaydetme hatası.");
-  else setText("profileStatus", "Profil kaydedildi.");
+  const res = await bgSend({
+    action: "SET_PROFILE",
+    profileId: currentProfileId,
+    name: $("profileName").value.trim(),
+    profile,
+  });
+  if (!res.ok) {
+    setText("profileStatus", "Kaydetme hatası.");
+    return;
+  }
+  await loadAll();
+  setText(
+    "profileStatus",
+    badDates.length
+      ? `Profil kaydedildi. Tarih anlaşılamadı (olduğu gibi kaydedildi): ${badDates.join(", ")}`
+      : "Profil kaydedildi.",
+  );
+}
+
+async function createProfile(copy) {
+  const name = prompt(copy ? "Kopyanın adı:" : "Yeni profil adı:", "");
+  if (name === null) return;
+  const res = await bgSend({
+    action: "PROFILES_CREATE",
+    name,
+    copyFrom: copy ? currentProfileId : null,
+  });
+  if (!res.ok) {
+    setText("profileStatus", "Profil oluşturulamadı.");
+    return;
+  }
+  await loadAll(res.profileId);
+  setText("profileStatus", "Profil oluşturuldu.");
+}
+
+async function deleteProfile() {
+  const name = $("profileName").value || currentProfileId;
+  if (!confirm(`"${name}" profili silinsin mi?`)) return;
+  const res = await bgSend({
+    action: "PROFILES_DELETE",
+    profileId: currentProfileId,
+  });
+  if (!res.ok) {
+    setText("profileStatus", "Son profil silinemez.");
+    return;
+  }
+  await loadAll(res.activeProfileId);
+  setText("profileStatus", "Profil silindi.");
+}
+
+async function setActiveProfile() {
+  const res = await bgSend({
+    action: "SET_ACTIVE_PROFILE",
+    profileId: currentProfileId,
+  });
+  if (!res.ok) {
+    setText("profileStatus", "Aktif profil değiştirilemedi.");
+    return;
+  }
+  await loadAll();
+  setText("profileStatus", "Aktif profil güncellendi.");
 }
 
 async function saveSettingsAndRules() {
-  const get = await bgSend({ action: "GET_PROFILE" });
+  // Asked before any await, while the click still counts as a gesture
+  const aiAccess = $("aiEnabled").checked
+    ? requestAiOrigin($("aiBaseUrl").value.trim())
+    : Promise.resolve(true);
+  const get = await bgSend({ action: "SETTINGS_GET" });
   if (!get.ok) {
     setText("settingsStatus", "Storage okunamadı.");
     return;
@@ -109,11 +544,21 @@ async function saveSettingsAndRules() {
     fillPolicy: {
       skipIfNotEmpty: $("skipIfNotEmpty").checked,
       dryRun: $("dryRun").checked,
+      review: $("review").checked,
     },
     nameLock: {
       enabled: $("nameLockEnabled").checked,
       mode: $("nameLockMode").value,
     },
+    ai: {
+      enabled: $("aiEnabled").checked,
+      baseUrl: $("aiBaseUrl").value.trim(),
+      model: $("aiModel").value.trim(),
+      apiKey: $("aiApiKey").value.trim(),
+    },
+    vault: {
+      lockMinutes: Math.max(1, Number($("vaultLockMinutes").value) || 15),
+    },
   };
 
   const nextSiteRules = {
@@ -127,8 +572,27 @@ async function saveSettingsAndRules() {
     siteRules: nextSiteRules,
   });
 
-  if (s1.ok && s2.ok) setText("settingsStatus", "Ayarlar kaydedildi.");
-  else setText("settingsStatus", "Kaydetme hatası.");
+  if (!s1.ok || !s2.ok) setText("settingsStatus", "Kaydetme hatası.");
+  else if (!(await aiAccess)) {
+    setText(
+      "settingsStatus",
+      "Ayarlar kaydedildi; AI adresine erişim izni verilmedi, taslaklar alınamayabilir.",
+    );
+  } else setText("settingsStatus", "Ayarlar kaydedildi.");
+}
+
+// The service worker fetches drafts itself; without <all_urls> it needs
+// the endpoint's host (any port)
+function requestAiOrigin(baseUrl) {
+  let url;
+  try {
+    url = new URL(baseUrl);
+  } catch {
+    return Promise.resolve(true);
+  }
+  return chrome.permissions
+    .request({ origins: [`${url.protocol}//${url.hostname}/*`] })
+    .catch(() => false);
 }
 
 async function addOrUpdateDomainRule() {
@@ -142,6 +606,9 @@ async function addOrUpdateDomainRule() {
   siteRules.domains = siteRules.domains || {};
   siteRules.domains[domain] = siteRules.domains[domain] || {};
   siteRules.domains[domain].rule = $("domainRule").value;
+  if ($("domainProfile").value)
+    siteRules.domains[domain].profile = $("domainProfile").value;
+  else delete siteRules.domains[domain].profile;
 
   const set = await bgSend({ action: "SITE_RULES_SET", siteRules });
   if (set.ok) {
@@ -151,17 +618,111 @@ async function addOrUpdateDomainRule() {
   }
 }
 
+// ---- Site access ----
+
+const ALL_SITES = { origins: ["<all_urls>"] };
+
+async function loadSiteAccess() {
+  const granted = await chrome.permissions.contains(ALL_SITES);
+  $("siteAccessGrant").hidden = granted;
+  $("siteAccessRevoke").hidden = !granted;
+  $("siteAccessState").textContent = granted
+    ? "Tüm sitelerde izin var: farklı alan adlı çerçeveler de doldurulur."
+    : "Yalnızca kullandığın sekme: farklı alan adlı çerçevelere erişilmez.";
+}
+
+// Straight from the click; the request needs the user gesture
+function siteAccessAction(grant) {
+  const change = grant
+    ? chrome.permissions.request(ALL_SITES)
+    : chrome.permissions.remove(ALL_SITES);
+  change.catch(() => false).then(loadSiteAccess);
+}
+
+// ---- Profile encryption ----
+
+const VAULT_ERRORS = {
+  "passphrase too short": "Parola en az 8 karakter olmalı.",
+  "wrong passphrase": "Parola yanlış.",
+};
+
+function vaultError(res) {
+  if (res.locked) return "Profiller kilitli; önce kilidi aç.";
+  return VAULT_ERRORS[res.error] || "Hata: " + (res.error || "bilinmiyor");
+}
+
+async function loadVault() {
+  const res = await bgSend({ action: "VAULT_STATUS" });
+  if (!res.ok) return;
+  $("vaultEnable").hidden = res.enabled;
+  $("vaultDisable").hidden = !res.enabled;
+  $("vaultUnlock").hidden = !res.enabled || res.unlocked;
+  $("vaultLock").hidden = !res.enabled || !res.unlocked;
+
+  let state = "Profiller şifresiz saklanıyor.";
+  if (res.enabled && !res.unlocked) state = "Şifreli · kilitli.";
+  if (res.enabled && res.unlocked) {
+    const time = new Date(res.until).toLocaleTimeString("tr-TR", {
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+    state = `Şifreli · kilit açık (otomatik kilit ${time}).`;
+  }
+  $("vaultState").textContent = state;
+}
+
+async function vaultAction(action) {
+  if (
+    action === "VAULT_ENABLE" &&
+    !confirm("Parola unutulursa profiller kurtarılamaz. Şifreleme açılsın mı?")
+  ) {
+    return;
+  }
+  const res = await bgSend({
+    action,
+    passphrase: $("vaultPassphrase").value,
+  });
+  if (!res.ok) {
+    setText("settingsStatus", vaultError(res));
+    return;
+  }
+  $("vaultPassphrase").value = "";
+  await loadAll();
+  setText("settingsStatus", "Şifreleme güncellendi.");
+}
+
 async function exportJson() {
-  const res = await bgSend({ action: "GET_PROFILE" });
+  const res = await bgSend({ action: "SETTINGS_GET" });
+  const all = await bgSend({ action: "PROFILES_GET_ALL" });
+  if (!all.ok) {
+    setText("settingsStatus", vaultError(all));
+    return;
+  }
   if (!res.ok) return;
 
   const data = {
-    profile: res.profile || {},
+    profiles: all.profiles || {},
+    activeProfileId: all.activeProfileId,
     settings: res.settings || {},
     siteRules: res.siteRules || {},
   };
-  const json = JSON.stringify(data, null, 2);
-  $("jsonBox").textContent = json;
+  $("jsonBox").textContent = "";
+  if ($("exportPlain").checked) {
+    $("jsonBox").textContent = JSON.stringify(data, null, 2);
+    return;
+  }
+
+  const sealed = await bgSend({
+    action: "BACKUP_SEAL",
+    data,
+    passphrase: $("backupPassphrase").value,
+  });
+  if (!sealed.ok) {
+    setText("settingsStatus", vaultError(sealed));
+    return;
+  }
+  $("jsonBox").textContent = JSON.stringify(sealed.bundle, null, 2);
+  setText("settingsStatus", "Şifreli export hazır.");
 }
 
 async function importJsonFromFile(file) {
@@ -174,27 +735,530 @@ async function importJsonFromFile(file) {
     return;
   }
 
-  const profile = parsed.profile || {};
+  if (parsed.format === "cv-asistan-encrypted") {
+    const opened = await bgSend({
+      action: "BACKUP_OPEN",
+      bundle: parsed,
+      passphrase: $("backupPassphrase").value,
+    });
+    if (!opened.ok) {
+      setText("settingsStatus", vaultError(opened));
+      return;
+    }
+    parsed = opened.data;
+  }
+
   const settings = parsed.settings || {};
   const siteRules = parsed.siteRules || {};
 
-  const s1 = await bgSend({ action: "SET_PROFILE", profile });
+  // Multi-profile export, or a single-profile export into the edited profile
+  const s1 = parsed.profiles
+    ? await bgSend({
+        action: "PROFILES_SET_ALL",
+        profiles: parsed.profiles,
+        activeProfileId: parsed.activeProfileId,
+      })
+    : await bgSend({
+        action: "SET_PROFILE",
+        profileId: currentProfileId,
+        profile: parsed.profile || {},
+      });
   const s2 = await bgSend({ action: "SET_SETTINGS", settings });
   const s3 = await bgSend({ action: "SITE_RULES_SET", siteRules });
 
   if (s1.ok && s2.ok && s3.ok) {
-    await loadAll();
+    await loadAll(parsed.profiles ? null : currentProfileId);
     setText("settingsStatus", "Import başarılı.");
+  } else if (s1.locked) {
+    setText("settingsStatus", vaultError(s1));
   } else {
     setText("settingsStatus", "Import hatası.");
   }
 }
 
+// ---- Application tracker ----
+
+const STATUS_LABELS = {
+  applied: "Başvuruldu",
+  interview: "Mülakat",
+  offer: "Teklif",
+  rejected: "Red",
+};
+
+const TRACKER_COLUMNS = [
+  ["createdAt", "Tarih"],
+  ["company", "Şirket"],
+  ["jobTitle", "Pozisyon"],
+  ["location", "Konum"],
+  ["status", "Durum"],
+  ["domain", "Site"],
+  ["url", "URL"],
+  ["pageTitle", "Sayfa başlığı"],
+  ["profileName", "Profil"],
+  ["notes", "Notlar"],
+];
+
+let applications = [];
+
+function showTab(name) {
+  for (const btn of document.querySelectorAll(".tab")) {
+    btn.classList.toggle("active", btn.dataset.tab === name);
+  }
+  for (const panel of document.querySelectorAll(".tabPanel")) {
+    panel.hidden = panel.id !== `tab-${name}`;
+  }
+  history.replaceState(null, "", `#${name}`);
+  if (name === "tracker") loadApplications();
+}
+
+function filteredApplications() {
+  const q = $("trackerSearch").value.trim().toLocaleLowerCase("tr");
+  const status = $("trackerStatus").value;
+  return applications.filter((a) => {
+    if (status && a.status !== status) return false;
+    if (!q) return true;
+    return [a.company, a.jobTitle, a.location, a.domain, a.pageTitle, a.notes]
+      .join(" ")
+      .toLocaleLowerCase("tr")
+      .includes(q);
+  });
+}
+
+async function loadApplications() {
+  const res = await bgSend({ action: "APPLICATIONS_GET" });
+  applications = res.ok ? res.applications : [];
+
+  const select = $("trackerStatus");
+  if (select.options.length === 1) {
+    for (const st of res.statuses || Object.keys(STATUS_LABELS)) {
+      select.appendChild(new Option(STATUS_LABELS[st] || st, st));
+    }
+  }
+  renderApplications();
+}
+
+async function updateApplication(id, patch) {
+  const res = await bgSend({ action: "APPLICATIONS_UPDATE", id, patch });
+  if (!res.ok) return;
+  const i = applications.findIndex((a) => a.id === id);
+  if (i >= 0) applications[i] = res.application;
+}
+
+function renderApplications() {
+  const table = $("trackerTable");
+  table.innerHTML = "";
+  const list = filteredApplications();
+  $("trackerCount").textContent = `(${list.length} / ${applications.length})`;
+  if (!applications.length) {
+    table.innerHTML = "<tr><td>Henüz başvuru yok.</td></tr>";
+    return;
+  }
+
+  const head = table.createTHead().insertRow();
+  for (const h of [
+    "Tarih",
+    "Şirket",
+    "Pozisyon",
+    "Konum",
+    "Site",
+    "Profil",
+    "Durum",
+    "Notlar",
+    "",
+  ]) {
+    const th = document.createElement("th");
+    th.textContent = h;
+    head.appendChild(th);
+  }
+
+  const body = table.createTBody();
+  for (const a of list) {
+    const tr = body.insertRow();
+    tr.insertCell().textContent = new Date(a.createdAt).toLocaleDateString(
+      "tr-TR",
+    );
+
+    for (const key of ["company", "jobTitle", "location"]) {
+      const input = document.createElement("input");
+      input.value = a[key] || "";
+      input.addEventListener("change", () =>
+        updateApplication(a.id, { [key]: input.value.trim() }),
+      );
+      tr.insertCell().appendChild(input);
+    }
+
+    const link = document.createElement("a");
+    link.href = a.url;
+    link.target = "_blank";
+    link.textContent = a.domain;
+    link.title = a.pageTitle || a.url;
+    tr.insertCell().appendChild(link);
+
+    tr.insertCell().textContent = a.profileName || "";
+
+    const status = document.createElement("select");
+    for (const [st, label] of Object.entries(STATUS_LABELS)) {
+      status.appendChild(new Option(label, st));
+    }
+    status.value = a.status;
+    status.addEventListener("change", async () => {
+      await updateApplication(a.id, { status: status.value });
+      renderApplications();
+    });
+    tr.insertCell().appendChild(status);
+
+    const notes = document.createElement("textarea");
+    notes.rows = 2;
+    notes.value = a.notes || "";
+    notes.addEventListener("change", () =>
+      updateApplication(a.id, { notes: notes.value }),
+    );
+    tr.insertCell().appendChild(notes);
+
+    const del = document.createElement("button");
+    del.className = "btn danger";
+    del.textContent = "Sil";
+    del.addEventListener("click", async () => {
+      if (!confirm(`“${a.jobTitle || a.domain}” kaydı silinsin mi?`)) return;
+      await bgSend({ action: "APPLICATIONS_REMOVE", id: a.id });
+      await loadApplications();
+    });
+    tr.insertCell().appendChild(del);
+  }
+}
+
+function downloadFile(name, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportApplications(format) {
+  const list = filteredApplications();
+  const stamp = new Date().toISOString().slice(0, 10);
+  if (format === "json") {
+    downloadFile(
+      `basvurular-${stamp}.json`,
+      JSON.stringify(list, null, 2),
+      "application/json",
+    );
+    return;
+  }
+
+  // Job titles and notes come from pages; a leading = + - @ (or a tab / CR
+  // before one) would run as a spreadsheet formula, so those cells get a '
+  const cell = (v) => {
+    const text = String(v ?? "").replace(/^[=+\-@\t\r]/, "'$&");
+    return `"${text.replace(/"/g, '""')}"`;
+  };
+  const rows = [TRACKER_COLUMNS.map(([, label]) => cell(label)).join(",")];
+  for (const a of list) {
+    rows.push(
+      TRACKER_COLUMNS.map(([key]) =>
+        cell(key === "status" ? STATUS_LABELS[a.status] || a.status : a[key]),
+      ).join(","),
+    );
+  }
+  // BOM so spreadsheet apps read Turkish characters as UTF-8
+  downloadFile(
+    `basvurular-${stamp}.csv`,
+    "\ufeff" + rows.join("\r\n"),
+    "text/csv",
+  );
+}
+
+// ---- Attachments (CV / cover letter files) ----
+
+const FILE_KIND_LABELS = {
+  resume: "CV / Özgeçmiş",
+  coverLetter: "Ön Yazı",
+};
+
+function formatBytes(n) {
+  if (n >= 1024 * 1024) return `${(n / 1024 / 1024).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(n / 1024))} KB`;
+}
+
+async function renderFiles() {
+  const box = $("filesTable");
+  const res = await bgSend({ action: "FILES_GET" });
+  box.innerHTML = "";
+
+  const files = res.files || [];
+  if (!files.length) {
+    box.textContent = "Henüz dosya yok.";
+    return;
+  }
+
+  for (const f of files) {
+    const row = document.createElement("div");
+    row.className = "ruleItem";
+
+    const name = document.createElement("code");
+    name.textContent = f.name;
+    const meta = document.createElement("div");
+    const scope = f.profileId
+      ? profilesList.find((p) => p.id === f.profileId)?.name || f.profileId
+      : "tüm profiller";
+    meta.textContent = `${FILE_KIND_LABELS[f.kind] || f.kind} · ${scope} · ${formatBytes(f.size)}`;
+
+    const del = document.createElement("button");
+    del.className = "btn danger";
+    del.textContent = "Sil";
+    del.addEventListener("click", async () => {
+      await bgSend({ action: "FILES_REMOVE", id: f.id });
+      await renderFiles();
+    });
+
+    row.append(name, meta, del);
+    box.appendChild(row);
+  }
+}
+
+function readAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+async function addStoredFile(file) {
+  const res = await bgSend({
+    action: "FILES_ADD",
+    file: {
+      kind: $("fileKind").value,
+      profileId: $("fileScope").value,
+      name: file.name,
+      type: file.type,
+      size: file.size,
+      dataUrl: await readAsDataUrl(file),
+    },
+  });
+  if (!res.ok) {
+    setText(
+      "filesStatus",
+      res.error === "file too large"
+        ? "Dosya 4 MB sınırını aşıyor."
+        : res.error === "storage failed"
+          ? "Dosya kaydedilemedi: depolama alanı yetersiz."
+          : "Dosya kaydedilemedi.",
+    );
+    return;
+  }
+  setText("filesStatus", `Eklendi: ${file.name}`);
+  await renderFiles();
+}
+
+// ---- CV import (PDF.js) ----
+
+const CV_IMPORT_FIELDS = [
+  "fullName",
+  "firstName",
+  "lastName",
+  "email",
+  "phone",
+  "linkedin",
+  "github",
+  "website",
+  "city",
+  "graduationYear",
+  "summary",
+];
+
+function fieldLabel(k) {
+  const lbl = $(k)?.closest("label");
+  return (lbl?.firstChild?.textContent || k).trim();
+}
+
+async function extractPdfText(file) {
+  const pdfjs = globalThis.pdfjsLib;
+  if (!pdfjs) throw new Error("PDF.js yüklenemedi");
+  pdfjs.GlobalWorkerOptions.workerSrc = "pdf.worker.min.js";
+
+  const data = new Uint8Array(await file.arrayBuffer());
+  const doc = await pdfjs.getDocument({ data, isEvalSupported: false }).promise;
+
+  const lines = [];
+  for (let i = 1; i <= doc.numPages; i++) {
+    const page = await doc.getPage(i);
+    const content = await page.getTextContent();
+    let line = "";
+    let lastY = null;
+    for (const item of content.items) {
+      const y = item.transform ? item.transform[5] : null;
+      // New baseline => new line
+      if (lastY !== null && y !== null && Math.abs(y - lastY) > 2) {
+        lines.push(line);
+        line = "";
+      }
+      line += item.str || "";
+      lastY = y;
+      if (item.hasEOL) {
+        lines.push(line);
+        line = "";
+        lastY = null;
+      }
+    }
+    if (line) lines.push(line);
+  }
+  await doc.destroy();
+  return lines.join("\n");
+}
+
+function renderCvReview(found, profile) {
+  const box = $("cvReview");
+  box.innerHTML = "";
+
+  const keys = CV_IMPORT_FIELDS.filter((k) => found[k]);
+  if (!keys.length) {
+    box.textContent = "CV'de tanınan alan bulunamadı.";
+    $("applyCv").disabled = true;
+    return;
+  }
+
+  const table = document.createElement("table");
+  const head = table.insertRow();
+  for (const h of ["", "Alan", "Mevcut", "CV'den"]) {
+    const th = document.createElement("th");
+    th.textContent = h;
+    head.appendChild(th);
+  }
+
+  for (const k of keys) {
+    const row = table.insertRow();
+    row.dataset.field = k;
+
+    const current = profile[k] || "";
+    const accept = document.createElement("input");
+    accept.type = "checkbox";
+    accept.className = "cvAccept";
+    // Pre-select only when it fills a gap
+    accept.checked = !current;
+    row.insertCell().appendChild(accept);
+
+    row.insertCell().textContent = fieldLabel(k);
+
+    const cur = row.insertCell();
+    cur.className = "current";
+    cur.textContent = current || "—";
+
+    const input = document.createElement(
+      k === "summary" ? "textarea" : "input",
+    );
+    if (k === "summary") input.rows = 3;
+    else input.type = "text";
+    input.className = "cvValue";
+    input.value = found[k];
+    row.insertCell().appendChild(input);
+  }
+
+  box.appendChild(table);
+  $("applyCv").disabled = false;
+}
+
+async function importCvFromFile(file) {
+  setText("cvStatus", "PDF okunuyor...");
+  try {
+    const text = await extractPdfText(file);
+    const found = window.CVAUtils.parseCvText(text);
+    const res = await bgSend({
+      action: "GET_PROFILE",
+      profileId: currentProfileId,
+    });
+    renderCvReview(found, res.profile || {});
+    setText("cvStatus", `${file.name}: ${Object.keys(found).length} alan`);
+  } catch (e) {
+    $("cvReview").textContent = "";
+    $("applyCv").disabled = true;
+    setText("cvStatus", "PDF okunamadı: " + (e?.message || e));
+  }
+}
+
+async function applyCvReview() {
+  const get = await bgSend({
+    action: "GET_PROFILE",
+    profileId: currentProfileId,
+  });
+  if (!get.ok) {
+    setText("cvStatus", "Storage okunamadı.");
+    return;
+  }
+
+  const profile = { ...(get.profile || {}) };
+  let count = 0;
+  for (const row of $("cvReview").querySelectorAll("tr[data-field]")) {
+    if (!row.querySelector(".cvAccept").checked) continue;
+    profile[row.dataset.field] = row.querySelector(".cvValue").value.trim();
+    count++;
+  }
+  if (!count) {
+    setText("cvStatus", "Seçili alan yok.");
+    return;
+  }
+
+  const res = await bgSend({
+    action: "SET_PROFILE",
+    profileId: get.profileId,
+    profile,
+  });
+  if (!res.ok) {
+    setText("cvStatus", "Kaydetme hatası.");
+    return;
+  }
+  await loadAll();
+  $("cvReview").innerHTML = "";
+  $("applyCv").disabled = true;
+  setText("profileStatus", `CV'den ${count} alan profile yazıldı.`);
+}
+
 document.addEventListener("DOMContentLoaded", () => {
+  renderAnswerInputs();
+  renderPlaceInputs();
   $("saveProfile").addEventListener("click", saveProfile);
+  $("profileSelect").addEventListener("change", (e) => loadAll(e.target.value));
+  $("newProfile").addEventListener("click", () => createProfile(false));
+  $("copyProfile").addEventListener("click", () => createProfile(true));
+  $("deleteProfile").addEventListener("click", deleteProfile);
+  $("activateProfile").addEventListener("click", setActiveProfile);
+  $("addPosition").addEventListener("click", () => appendEntry("positions"));
+  $("addSchool").addEventListener("click", () => appendEntry("schools"));
+  $("addQa").addEventListener("click", () => appendEntry("qaBank"));
+  $("addTemplate").addEventListener("click", () => appendEntry("templates"));
   $("saveSettings").addEventListener("click", saveSettingsAndRules);
   $("addDomain").addEventListener("click", addOrUpdateDomainRule);
 
+  $("importCv").addEventListener("click", () => $("cvFile").click());
+  $("cvFile").addEventListener("change", async (e) => {
+    const f = e.target.files?.[0];
+    if (f) await importCvFromFile(f);
+    e.target.value = "";
+  });
+  $("applyCv").addEventListener("click", applyCvReview);
+
+  $("addFile").addEventListener("click", () => $("fileInput").click());
+  $("fileInput").addEventListener("change", async (e) => {
+    const f = e.target.files?.[0];
+    if (f) await addStoredFile(f);
+    e.target.value = "";
+  });
+
+  $("vaultEnable").addEventListener("click", () => vaultAction("VAULT_ENABLE"));
+  $("vaultUnlock").addEventListener("click", () => vaultAction("VAULT_UNLOCK"));
+  $("vaultLock").addEventListener("click", () => vaultAction("VAULT_LOCK"));
+  $("vaultDisable").addEventListener("click", () =>
+    vaultAction("VAULT_DISABLE"),
+  );
+
+  $("siteAccessGrant").addEventListener("click", () => siteAccessAction(true));
+  $("siteAccessRevoke").addEventListener("click", () =>
+    siteAccessAction(false),
+  );
+
   $("exportJson").addEventListener("click", exportJson);
   $("importJson").addEventListener("click", () => $("importFile").click());
   $("importFile").addEventListener("change", async (e) => {
@@ -203,5 +1267,18 @@ document.addEventListener("DOMContentLoaded", () => {
     e.target.value = "";
   });
 
-  loadAll().catch(() => setText("settingsStatus", "Başlatma hatası."));
+  for (const btn of document.querySelectorAll(".tab")) {
+    btn.addEventListener("click", () => showTab(btn.dataset.tab));
+  }
+  $("trackerSearch").addEventListener("input", renderApplications);
+  $("trackerStatus").addEventListener("change", renderApplications);
+  $("exportCsv").addEventListener("click", () => exportApplications("csv"));
+  $("exportTrackerJson").addEventListener("click", () =>
+    exportApplications("json"),
+  );
+  if (location.hash === "#tracker") showTab("tracker");
+
+  loadAll()
+    .then(renderFiles)
+    .catch(() => setText("settingsStatus", "Başlatma hatası."));
 });
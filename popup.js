@@ -27,12 +27,195 @@ async function getActiveDomain() {
 
 async function loadInitial() {
   const res = await bgSend({ action: "GET_PROFILE" });
+  await renderVault(res.locked);
+  if (res.locked) {
+    setStatus("Profil kilitli. Doldurmak için parolayı gir.");
+    return;
+  }
   if (!res.ok) {
     setStatus("Storage okunamadı.");
     return;
   }
   $("debugToggle").checked = !!res.settings?.debug;
+  await renderProfilePicker(res);
   setStatus("Hazır.");
+
+  await refreshJob();
+  await refreshTemplates();
+
+  const assist = await bgSend({ action: "ASSIST_STATUS" });
+  renderAssist(assist.ok ? assist.session : null);
+}
+
+// Encrypted profiles: unlock box while locked, relock button while open
+async function renderVault(locked) {
+  $("lockBox").hidden = !locked;
+  $("fillBtn").disabled = locked;
+  $("assistBtn").disabled = locked;
+
+  const vault = locked ? null : await bgSend({ action: "VAULT_STATUS" });
+  $("lockRow").hidden = !vault?.enabled;
+  if (vault?.until) {
+    const time = new Date(vault.until).toLocaleTimeString("tr-TR", {
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+    $("lockInfo").textContent = `Kilit açık · otomatik kilit ${time}`;
+  }
+}
+
+async function unlockProfiles() {
+  const res = await bgSend({
+    action: "VAULT_UNLOCK",
+    passphrase: $("passphrase").value,
+  });
+  $("passphrase").value = "";
+  if (!res.ok) {
+    setStatus(
+      res.error === "wrong passphrase"
+        ? "Parola yanlış."
+        : "Kilit açılamadı: " + (res.error || ""),
+    );
+    return;
+  }
+  await loadInitial();
+}
+
+async function lockProfiles() {
+  await bgSend({ action: "VAULT_LOCK" });
+  $("profileSelect").innerHTML = "";
+  $("templateBox").hidden = true;
+  await loadInitial();
+}
+
+// Opening the popup loads nothing into the page; the posting is read once
+// a fill (or assist / teach) has put the scripts there
+async function refreshJob() {
+  const job = await bgSend({ action: "JOB_GET" });
+  renderJob(job.ok ? job.job : null);
+}
+
+function renderJob(job) {
+  const box = $("jobInfo");
+  box.innerHTML = "";
+  box.hidden = false;
+  if (!job?.title) {
+    const div = document.createElement("div");
+    div.className = "jobSource";
+    div.textContent = "Henüz ilan algılanmadı";
+    box.appendChild(div);
+    return;
+  }
+
+  const lines = [
+    ["jobTitle", job.title],
+    ["jobMeta", [job.company, job.location].filter(Boolean).join(" · ")],
+    ["jobSource", `İlan algılandı (${job.source})`],
+  ];
+  for (const [cls, text] of lines) {
+    if (!text) continue;
+    const div = document.createElement("div");
+    div.className = cls;
+    div.textContent = text;
+    box.appendChild(div);
+  }
+}
+
+// Templates: one picker per target; preview resolves against this page
+const TEMPLATE_FIELDS = {
+  coverLetter: "tplCoverLetter",
+  summary: "tplSummary",
+};
+let templateChoices = {};
+
+async function refreshTemplates() {
+  const res = await bgSend({
+    action: "TEMPLATE_PREVIEW",
+    profileId: $("profileSelect").value || null,
+    templates: templateChoices,
+  });
+  const available = res.ok ? res.available : [];
+  $("templateBox").hidden = !available.length;
+  if (!available.length) return;
+
+  for (const [target, id] of Object.entries(TEMPLATE_FIELDS)) {
+    const names = available
+      .filter((t) => t.target === target)
+      .map((t) => t.name);
+    const select = $(id);
+    select.innerHTML = "";
+    for (const name of names) select.appendChild(new Option(name, name));
+    select.appendChild(new Option("(şablon yok)", ""));
+    const used = res.templates.find((t) => t.target === target);
+    select.value = used ? used.name : "";
+    $(`${id}Field`).hidden = !names.length;
+  }
+
+  const box = $("tplPreview");
+  box.innerHTML = "";
+  for (const t of res.templates) {
+    const pre = document.createElement("pre");
+    pre.textContent = t.text;
+    box.appendChild(pre);
+    if (t.missing.length) {
+      const warn = document.createElement("div");
+      warn.className = "warn";
+      warn.textContent = `Boş kalan: ${t.missing.join(", ")}`;
+      box.appendChild(warn);
+    }
+  }
+}
+
+// Assist session: button state and running counter, refreshed while open
+let assistPoll = null;
+
+function renderAssist(session) {
+  $("assistBtn").textContent = session
+    ? "Oturumu durdur"
+    : "Asistan oturumu başlat";
+  $("assistStatus").hidden = !session;
+  if (session) {
+    $("assistStatus").textContent =
+      `Oturum açık · ${session.filled} alan dolduruldu`;
+  }
+
+  if (session && !assistPoll) {
+    assistPoll = setInterval(async () => {
+      const res = await bgSend({ action: "ASSIST_STATUS" });
+      renderAssist(res.ok ? res.session : null);
+    }, 1500);
+  } else if (!session && assistPoll) {
+    clearInterval(assistPoll);
+    assistPoll = null;
+  }
+}
+
+async function toggleAssist() {
+  if (!assistPoll) {
+    await fillForm(true);
+    return;
+  }
+  const res = await bgSend({ action: "ASSIST_STOP" });
+  renderAssist(null);
+  if (res.ok && res.session) {
+    setStatus(`Oturum bitti.\nToplam doldurulan: ${res.session.filled}`);
+  }
+}
+
+// Preselect the domain's default profile, else the active one
+async function renderProfilePicker(res) {
+  const domain = await getActiveDomain();
+  const domainDefault = res.siteRules?.domains?.[domain]?.profile;
+  const select = $("profileSelect");
+  select.innerHTML = "";
+  for (const p of res.profiles || []) {
+    const opt = document.createElement("option");
+    opt.value = p.id;
+    opt.textContent = p.id === domainDefault ? `${p.name} (site)` : p.name;
+    select.appendChild(opt);
+  }
+  const known = (res.profiles || []).some((p) => p.id === domainDefault);
+  select.value = known ? domainDefault : res.activeProfileId;
 }
 
 async function toggleDebug() {
@@ -54,11 +237,185 @@ async function pingFrames() {
   setStatus(`PING tamam.\nFrame cevap: ${okCount}/${frames.length}`);
 }
 
-async function fillForm() {
+// Questions nothing answered; one click saves them to the Q&A bank
+function renderQaSuggestions(questions, profileId) {
+  const box = $("qaSuggest");
+  box.innerHTML = "";
+  box.hidden = !questions.length;
+  if (!questions.length) return;
+
+  const title = document.createElement("div");
+  title.className = "suggestTitle";
+  title.textContent = "Cevaplanmayan sorular:";
+  box.appendChild(title);
+
+  for (const q of questions) {
+    const item = document.createElement("div");
+    item.className = "suggestItem";
+
+    const text = document.createElement("div");
+    text.className = "question";
+    text.textContent = q.question;
+    item.appendChild(text);
+
+    const row = document.createElement("div");
+    row.className = "row";
+    const input = document.createElement("input");
+    input.type = "text";
+    input.placeholder = q.options?.length ? q.options.join(" / ") : "Cevap";
+    const btn = document.createElement("button");
+    btn.className = "btn";
+    btn.textContent = "Bankaya ekle";
+    btn.addEventListener("click", async () => {
+      const answer = input.value.trim();
+      if (!answer) return;
+      const res = await bgSend({
+        action: "QA_ADD",
+        profileId,
+        question: q.question,
+        answer,
+        kind: q.kind,
+      });
+      if (!res.ok) {
+        setStatus("Kaydedilemedi: " + (res.error || ""));
+        return;
+      }
+      item.remove();
+      if (!box.querySelector(".suggestItem")) box.hidden = true;
+    });
+    row.append(input, btn);
+    item.appendChild(row);
+    box.appendChild(item);
+  }
+}
+
+// Fill report: one expandable block per frame, one row per field; a row
+// click scrolls the page to the field and flashes it
+const ACTION_LABELS = {
+  filled: "dolduruldu",
+  skipped: "atlandı",
+  "dry-run": "deneme",
+  review: "onay bekliyor",
+  error: "hata",
+  fatal: "hata",
+  lost: "daha iyi alana verildi",
+  "added-block": "blok eklendi",
+};
+
+function frameLabel(url) {
+  try {
+    const u = new URL(url);
+    return u.host + u.pathname;
+  } catch {
+    return url || "(adres yok)";
+  }
+}
+
+function reportRow(item, frameId) {
+  const row = document.createElement("div");
+  row.className = `reportRow ${item.action}`;
+
+  const head = document.createElement("div");
+  head.className = "reportHead";
+  const name = item.part ? `${item.type}.${item.part}` : item.type || "—";
+  const label = item.label || item.field || item.question;
+  head.textContent =
+    `${name} · ${ACTION_LABELS[item.action] || item.action}` +
+    (item.score != null ? ` · ${Math.round(item.score)}` : "") +
+    (label ? ` · ${label}` : "");
+  row.appendChild(head);
+
+  const detail = [item.reason, ...(item.reasons || []).slice(0, 3)]
+    .filter(Boolean)
+    .join(" · ");
+  if (detail) {
+    const text = document.createElement("div");
+    text.className = "reportDetail";
+    text.textContent = detail;
+    row.appendChild(text);
+  }
+
+  if (item.ref != null) {
+    row.classList.add("clickable");
+    row.title = "Sayfada göster";
+    row.addEventListener("click", () => flashField(frameId, item.ref));
+  }
+  return row;
+}
+
+function renderReport(summary) {
+  const box = $("report");
+  box.innerHTML = "";
+  const reports = summary?.reports || [];
+  const failed = summary?.failedFrames || [];
+  box.hidden = !reports.length && !failed.length;
+  if (box.hidden) return;
+
+  for (const rep of reports) {
+    const items = rep.items || [];
+    const frame = document.createElement("details");
+    frame.className = "reportFrame";
+    frame.open = reports.length === 1;
+
+    const head = document.createElement("summary");
+    const stats = rep.stats || {};
+    head.textContent =
+      `${frameLabel(rep.frame?.href)} · ${stats.filled || 0} dolu, ` +
+      `${stats.skipped || 0} atlandı, ${stats.errors || 0} hata`;
+    frame.appendChild(head);
+
+    for (const item of items) frame.appendChild(reportRow(item, rep.frameId));
+    if (!items.length) {
+      const empty = document.createElement("div");
+      empty.className = "reportDetail";
+      empty.textContent = "Bu frame’de doldurulacak alan bulunamadı.";
+      frame.appendChild(empty);
+    }
+    box.appendChild(frame);
+  }
+
+  for (const f of failed) {
+    const row = document.createElement("div");
+    row.className = "reportFailed";
+    row.textContent = `Frame yanıt vermedi: ${frameLabel(f.url)} – ${f.error}`;
+    box.appendChild(row);
+  }
+}
+
+async function flashField(frameId, ref) {
+  const res = await bgSend({ action: "FLASH_FIELD", frameId, ref });
+  if (!res.ok) setStatus("Alan gösterilemedi: " + (res.error || ""));
+}
+
+function describeAdapters(adapters) {
+  if (!adapters?.length) return "genel (skorlama)";
+  return adapters
+    .map(
+      (a) =>
+        a.name +
+        (a.step ? ` – ${a.step}` : "") +
+        (a.hasNext ? " (sonraki sayfada tekrar doldur)" : ""),
+    )
+    .join(", ");
+}
+
+async function fillForm(assist = false) {
   setStatus("Form dolduruluyor...");
-  const res = await bgSend({ action: "FILL_FORM" });
+  renderQaSuggestions([], null);
+  renderReport(null);
+  const res = await bgSend({
+    action: "FILL_FORM",
+    profileId: $("profileSelect").value || null,
+    templates: templateChoices,
+    assist,
+  });
 
   if (!res.ok) {
+    if (res.locked) {
+      await renderVault(true);
+      setStatus("Profil kilitli. Doldurmak için parolayı gir.");
+      return;
+    }
     if (res.blocked) {
       setStatus(
         `Bu sitede engelli.\nDomain: ${res.domain}\nSebep: ${res.reason}`,
@@ -72,10 +429,65 @@ async function fillForm() {
   const s = res.summary;
   setStatus(
     `Domain: ${res.domain}\n` +
+      `Profil: ${res.profileName}\n` +
+      `Adapter: ${describeAdapters(s.adapters)}\n` +
       `Frames: ${s.framesResponded}\n` +
       `Filled: ${s.filled}\n` +
       `Skipped: ${s.skipped}\n` +
-      `Errors: ${s.errors}`,
+      `Errors: ${s.errors}` +
+      (s.failedFrames?.length
+        ? `\nYanıt vermeyen frame: ${s.failedFrames.length} (rapora bak)`
+        : "") +
+      (s.widgetErrors
+        ? `\nAçılır liste seçilemedi: ${s.widgetFailures
+            .map((f) => f.type)
+            .join(", ")}`
+        : "") +
+      (s.lost?.length
+        ? `\nDaha iyi eşleşen alana verildi: ${s.lost
+            .map((l) => (l.label ? `${l.type} (${l.label})` : l.type))
+            .join(", ")}`
+        : "") +
+      (res.templates || [])
+        .map(
+          (t) =>
+            `\nŞablon: ${t.name}` +
+            (t.missing.length ? ` (boş: ${t.missing.join(", ")})` : ""),
+        )
+        .join("") +
+      (res.applicationId ? "\nBaşvuru listesine kaydedildi." : "") +
+      (s.review ? `\nİnceleme: ${s.review} öneri sayfada onay bekliyor` : "") +
+      (s.aiQuestions
+        ? `\nAI taslak: ${s.aiQuestions} (sayfada onay bekliyor)`
+        : ""),
+  );
+  renderQaSuggestions(s.unmatchedQuestions || [], res.profileId);
+  renderReport(s);
+  if (assist) renderAssist(res.session);
+  await refreshJob();
+  await refreshTemplates();
+}
+
+async function undoFill() {
+  const res = await bgSend({ action: "UNDO_FILL" });
+  if (!res.ok) {
+    setStatus("Geri alınamadı: " + (res.error || ""));
+    return;
+  }
+  setStatus(
+    `Son doldurma geri alındı.\nGeri alınan: ${res.undone}` +
+      (res.errors.length ? `\nHatalar:\n${res.errors.join("\n")}` : ""),
+  );
+}
+
+async function startTeach() {
+  const res = await bgSend({ action: "TEACH_START" });
+  if (!res.ok) {
+    setStatus("Öğretme başlatılamadı: " + (res.error || ""));
+    return;
+  }
+  setStatus(
+    "Öğretme modu açık.\nSayfada bir alana tıkla, profil alanını seç ve kaydet.\nÇıkmak için Esc.",
   );
 }
 
@@ -104,11 +516,33 @@ async function updateDomainRule(rule) {
 }
 
 document.addEventListener("DOMContentLoaded", () => {
-  $("fillBtn").addEventListener("click", fillForm);
+  $("fillBtn").addEventListener("click", () => fillForm());
+  $("assistBtn").addEventListener("click", toggleAssist);
   $("debugToggle").addEventListener("change", toggleDebug);
   $("pingBtn").addEventListener("click", pingFrames);
+  $("teachBtn").addEventListener("click", startTeach);
+  $("profileSelect").addEventListener("change", () => {
+    templateChoices = {};
+    refreshTemplates();
+  });
+  for (const [target, id] of Object.entries(TEMPLATE_FIELDS)) {
+    $(id).addEventListener("change", () => {
+      templateChoices[target] = $(id).value;
+      refreshTemplates();
+    });
+  }
+  $("undoBtn").addEventListener("click", undoFill);
+  $("unlockBtn").addEventListener("click", unlockProfiles);
+  $("passphrase").addEventListener("keydown", (e) => {
+    if (e.key === "Enter") unlockProfiles();
+  });
+  $("lockBtn").addEventListener("click", lockProfiles);
   $("wlBtn").addEventListener("click", () => updateDomainRule("whitelist"));
   $("blBtn").addEventListener("click", () => updateDomainRule("blacklist"));
+  $("openTracker").addEventListener("click", (e) => {
+    e.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL("options.html#tracker") });
+  });
   $("openOptions").addEventListener("click", (e) => {
     e.preventDefault();
     chrome.runtime.openOptionsPage();
@@ -1,9 +1,12 @@
 /* utils.js
  * Global helper namespace: window.CVAUtils
  * - Normalize profile values
+ * - CV text parsing (PDF import)
  * - Field detection and scoring
  * - Visibility checks
  * - Value setting for controlled inputs (React/Vue)
+ * - Option matching shared by <select> and dropdown widgets
+ * - Radio / checkbox groups for screening questions
  */
 
 (() => {
@@ -62,9 +65,30 @@
       "adres satırı",
       "sokak",
       "cadde",
+    ],
+    addressLine2: [
+      "address line 2",
+      "address 2",
+      "apartment",
+      "apt",
+      "suite",
+      "unit",
+      "building",
+      "adres satırı 2",
+      "adres 2",
+      "apartman",
+      "daire",
+      "bina",
+    ],
+    neighbourhood: [
+      "neighbourhood",
+      "neighborhood",
+      "quarter",
       "mahalle",
+      "semt",
     ],
-    city: ["city", "town", "şehir", "sehir", "ilçe", "ilce", "il"],
+    district: ["district", "county", "borough", "ilçe", "ilce"],
+    city: ["city", "town", "şehir", "sehir", "il"],
     state: ["state", "province", "region", "eyalet", "bölge", "bolge", "il"],
     postalCode: [
       "zip",
@@ -163,8 +187,268 @@
       "maaş",
       "maas",
     ],
+
+    // Repeatable sections (see LIST_FIELDS): "<list>.<key>"
+    "positions.company": [
+      "company",
+      "company name",
+      "employer",
+      "organization",
+      "şirket",
+      "sirket",
+      "firma",
+      "kurum",
+      "işveren",
+      "isveren",
+    ],
+    "positions.title": [
+      "job title",
+      "title",
+      "position",
+      "role",
+      "unvan",
+      "ünvan",
+      "pozisyon",
+      "görev",
+      "gorev",
+    ],
+    "positions.startDate": [
+      "start date",
+      "start",
+      "başlangıç",
+      "baslangic",
+      "başlangıç tarihi",
+      "giriş tarihi",
+    ],
+    "positions.endDate": [
+      "end date",
+      "end",
+      "until",
+      "bitiş",
+      "bitis",
+      "bitiş tarihi",
+      "çıkış tarihi",
+    ],
+    "positions.description": [
+      "description",
+      "responsibilities",
+      "duties",
+      "achievements",
+      "açıklama",
+      "aciklama",
+      "sorumluluklar",
+      "görev tanımı",
+    ],
+    "schools.institution": [
+      "school",
+      "school name",
+      "university",
+      "institution",
+      "college",
+      "okul",
+      "okul adı",
+      "üniversite",
+      "universite",
+      "kurum",
+    ],
+    "schools.degree": [
+      "degree",
+      "diploma",
+      "qualification",
+      "education level",
+      "derece",
+      "öğrenim düzeyi",
+      "eğitim seviyesi",
+    ],
+    "schools.field": [
+      "field of study",
+      "field",
+      "major",
+      "discipline",
+      "department",
+      "bölüm",
+      "bolum",
+      "alan",
+    ],
+    "schools.startYear": [
+      "start year",
+      "start date",
+      "start",
+      "başlangıç",
+      "baslangic",
+      "başlangıç yılı",
+    ],
+    "schools.endYear": [
+      "end year",
+      "end date",
+      "graduation year",
+      "graduation date",
+      "end",
+      "mezuniyet",
+      "bitiş",
+      "bitis",
+      "bitiş yılı",
+    ],
   };
 
+  // Ordered profile lists and the keys of each entry
+  const LIST_FIELDS = {
+    positions: ["company", "title", "startDate", "endDate", "description"],
+    schools: ["institution", "degree", "field", "startYear", "endYear"],
+  };
+
+  // List keys holding dates (stored as ISO like the top-level dates)
+  const DATE_KEYS = new Set(["startDate", "endDate", "startYear", "endYear"]);
+
+  // Screening questions answered via radio groups / checkboxes.
+  // yesno: answer is "yes" | "no"; choice: answer is one of `options` keys.
+  const YES_NO_OPTIONS = {
+    yes: ["yes", "evet", "var", "true", "i am", "i do", "i will"],
+    no: ["no", "hayır", "hayir", "yok", "false", "i am not", "i do not"],
+  };
+
+  const SCREENING_QUESTIONS = {
+    workAuthorization: {
+      label: "Çalışma izni var mı? (work authorization)",
+      kind: "yesno",
+      synonyms: [
+        "authorized to work",
+        "authorised to work",
+        "work authorization",
+        "legally authorized",
+        "right to work",
+        "eligible to work",
+        "work permit",
+        "çalışma izni",
+        "yasal olarak çalışma",
+      ],
+    },
+    visaSponsorship: {
+      label: "Vize sponsorluğu gerekiyor mu?",
+      kind: "yesno",
+      synonyms: [
+        "sponsorship",
+        "visa sponsorship",
+        "require sponsorship",
+        "require a visa",
+        "vize sponsorluğu",
+        "sponsorluk",
+      ],
+    },
+    relocate: {
+      label: "Taşınmaya açık mı? (relocation)",
+      kind: "yesno",
+      synonyms: [
+        "relocate",
+        "relocation",
+        "willing to move",
+        "taşınma",
+        "taşınmaya",
+        "yer değiştirme",
+      ],
+    },
+    remotePreference: {
+      label: "Çalışma modeli tercihi",
+      kind: "choice",
+      synonyms: [
+        "remote",
+        "work arrangement",
+        "work model",
+        "work location preference",
+        "çalışma modeli",
+        "çalışma şekli",
+        "uzaktan",
+      ],
+      optionLabels: {
+        remote: "Uzaktan (remote)",
+        hybrid: "Hibrit",
+        onsite: "Ofisten (on-site)",
+      },
+      options: {
+        remote: ["remote", "fully remote", "uzaktan", "remote çalışma"],
+        hybrid: ["hybrid", "hibrit"],
+        onsite: ["on-site", "onsite", "in office", "office", "ofis", "yerinde"],
+      },
+    },
+    driversLicense: {
+      label: "Sürücü belgesi var mı?",
+      kind: "yesno",
+      synonyms: [
+        "driver's licence",
+        "driver's license",
+        "drivers license",
+        "driving licence",
+        "driving license",
+        "ehliyet",
+        "sürücü belgesi",
+      ],
+    },
+    noticePeriod: {
+      label: "İhbar süresi / başlama",
+      kind: "choice",
+      synonyms: [
+        "notice period",
+        "when can you start",
+        "availability to start",
+        "ihbar süresi",
+        "ne zaman başlayabilir",
+        "işe başlama",
+      ],
+      optionLabels: {
+        immediately: "Hemen",
+        "2w": "2 hafta",
+        "1m": "1 ay",
+        "2m": "2 ay",
+        "3m": "3 ay",
+      },
+      options: {
+        immediately: ["immediately", "immediate", "hemen", "derhal"],
+        "2w": ["2 weeks", "two weeks", "2 hafta", "iki hafta"],
+        "1m": ["1 month", "one month", "4 weeks", "1 ay", "bir ay"],
+        "2m": ["2 months", "two months", "2 ay", "iki ay"],
+        "3m": ["3 months", "three months", "3 ay", "üç ay"],
+      },
+    },
+  };
+
+  // Personal Q&A bank: { questions: [TR/EN phrasings], answer, kind }
+  const QA_KINDS = ["text", "select", "radio"];
+  const QA_MIN_SCORE = 0.75;
+  const QA_STOP_WORDS = new Set([
+    "a",
+    "an",
+    "the",
+    "you",
+    "your",
+    "do",
+    "are",
+    "is",
+    "to",
+    "of",
+    "in",
+    "for",
+    "and",
+    "or",
+    "how",
+    "what",
+    "did",
+    "we",
+    "us",
+    "our",
+    "be",
+    "mi",
+    "mu",
+    "ne",
+    "bir",
+    "ve",
+    "ile",
+    "icin",
+    "siz",
+    "sizin",
+    "bize",
+    "bizi",
+  ]);
+
   const AUTOCOMPLETE_MAP = {
     "given-name": "firstName",
     "additional-name": "firstName",
@@ -173,14 +457,16 @@
     email: "email",
     tel: "phone",
     "tel-national": "phone",
-    "tel-country-code": "phone",
     "street-address": "addressLine",
     "address-line1": "addressLine",
-    "address-line2": "addressLine",
+    "address-line2": "addressLine2",
+    "address-level3": "district",
+    "address-level4": "neighbourhood",
     "address-level2": "city",
     "address-level1": "state",
     "postal-code": "postalCode",
     country: "country",
+    "country-name": "country",
     bday: "dateOfBirth",
   };
 
@@ -189,9 +475,721 @@
     return String(v).trim();
   }
 
-  function normalizePhone(phone) {
+  // ---- Places: countries and Turkish provinces ----
+
+  // ISO 3166-1 alpha-2 | alpha-3 | Turkish name | English name | aliases
+  const COUNTRY_TABLE = [
+    "AF|AFG|Afganistan|Afghanistan",
+    "AL|ALB|Arnavutluk|Albania",
+    "DZ|DZA|Cezayir|Algeria",
+    "AR|ARG|Arjantin|Argentina",
+    "AM|ARM|Ermenistan|Armenia",
+    "AU|AUS|Avustralya|Australia",
+    "AT|AUT|Avusturya|Austria",
+    "AZ|AZE|Azerbaycan|Azerbaijan",
+    "BH|BHR|Bahreyn|Bahrain",
+    "BD|BGD|Bangladeş|Bangladesh",
+    "BY|BLR|Belarus|Belarus|Beyaz Rusya",
+    "BE|BEL|Belçika|Belgium",
+    "BA|BIH|Bosna-Hersek|Bosnia and Herzegovina|Bosna Hersek",
+    "BR|BRA|Brezilya|Brazil",
+    "BG|BGR|Bulgaristan|Bulgaria",
+    "CA|CAN|Kanada|Canada",
+    "CL|CHL|Şili|Chile",
+    "CN|CHN|Çin|China",
+    "CO|COL|Kolombiya|Colombia",
+    "HR|HRV|Hırvatistan|Croatia",
+    "CY|CYP|Kıbrıs|Cyprus",
+    "CZ|CZE|Çekya|Czechia|Czech Republic|Çek Cumhuriyeti",
+    "DK|DNK|Danimarka|Denmark",
+    "EG|EGY|Mısır|Egypt",
+    "EE|EST|Estonya|Estonia",
+    "FI|FIN|Finlandiya|Finland",
+    "FR|FRA|Fransa|France",
+    "GE|GEO|Gürcistan|Georgia",
+    "DE|DEU|Almanya|Germany|Deutschland",
+    "GR|GRC|Yunanistan|Greece",
+    "HK|HKG|Hong Kong|Hong Kong",
+    "HU|HUN|Macaristan|Hungary",
+    "IS|ISL|İzlanda|Iceland",
+    "IN|IND|Hindistan|India",
+    "ID|IDN|Endonezya|Indonesia",
+    "IR|IRN|İran|Iran",
+    "IQ|IRQ|Irak|Iraq",
+    "IE|IRL|İrlanda|Ireland",
+    "IL|ISR|İsrail|Israel",
+    "IT|ITA|İtalya|Italy",
+    "JP|JPN|Japonya|Japan",
+    "JO|JOR|Ürdün|Jordan",
+    "KZ|KAZ|Kazakistan|Kazakhstan",
+    "KE|KEN|Kenya|Kenya",
+    "XK|XKX|Kosova|Kosovo",
+    "KW|KWT|Kuveyt|Kuwait",
+    "KG|KGZ|Kırgızistan|Kyrgyzstan",
+    "LV|LVA|Letonya|Latvia",
+    "LB|LBN|Lübnan|Lebanon",
+    "LY|LBY|Libya|Libya",
+    "LT|LTU|Litvanya|Lithuania",
+    "LU|LUX|Lüksemburg|Luxembourg",
+    "MY|MYS|Malezya|Malaysia",
+    "MT|MLT|Malta|Malta",
+    "MX|MEX|Meksika|Mexico",
+    "MD|MDA|Moldova|Moldova",
+    "ME|MNE|Karadağ|Montenegro",
+    "MA|MAR|Fas|Morocco",
+    "NL|NLD|Hollanda|Netherlands|The Netherlands",
+    "NZ|NZL|Yeni Zelanda|New Zealand",
+    "NG|NGA|Nijerya|Nigeria",
+    "MK|MKD|Kuzey Makedonya|North Macedonia|Macedonia|Makedonya",
+    "NO|NOR|Norveç|Norway",
+    "OM|OMN|Umman|Oman",
+    "PK|PAK|Pakistan|Pakistan",
+    "PE|PER|Peru|Peru",
+    "PH|PHL|Filipinler|Philippines",
+    "PL|POL|Polonya|Poland",
+    "PT|PRT|Portekiz|Portugal",
+    "QA|QAT|Katar|Qatar",
+    "RO|ROU|Romanya|Romania",
+    "RU|RUS|Rusya|Russia|Russian Federation|Rusya Federasyonu",
+    "SA|SAU|Suudi Arabistan|Saudi Arabia",
+    "RS|SRB|Sırbistan|Serbia",
+    "SG|SGP|Singapur|Singapore",
+    "SK|SVK|Slovakya|Slovakia",
+    "SI|SVN|Slovenya|Slovenia",
+    "ZA|ZAF|Güney Afrika|South Africa",
+    "KR|KOR|Güney Kore|South Korea|Korea|Republic of Korea",
+    "ES|ESP|İspanya|Spain",
+    "SE|SWE|İsveç|Sweden",
+    "CH|CHE|İsviçre|Switzerland",
+    "SY|SYR|Suriye|Syria",
+    "TW|TWN|Tayvan|Taiwan",
+    "TJ|TJK|Tacikistan|Tajikistan",
+    "TH|THA|Tayland|Thailand",
+    "TN|TUN|Tunus|Tunisia",
+    "TR|TUR|Türkiye|Turkey|Turkiye|Türkiye Cumhuriyeti|Republic of Türkiye",
+    "TM|TKM|Türkmenistan|Turkmenistan",
+    "UA|UKR|Ukrayna|Ukraine",
+    "AE|ARE|Birleşik Arap Emirlikleri|United Arab Emirates|UAE|BAE",
+    "GB|GBR|Birleşik Krallık|United Kingdom|UK|Great Britain|England|İngiltere",
+    "US|USA|Amerika Birleşik Devletleri|United States|United States of America|ABD|Amerika",
+    "UZ|UZB|Özbekistan|Uzbekistan",
+    "VE|VEN|Venezuela|Venezuela",
+    "VN|VNM|Vietnam|Vietnam|Viet Nam",
+  ];
+
+  const COUNTRIES = COUNTRY_TABLE.map((row) => {
+    const [iso2, iso3, tr, en, ...aliases] = row.split("|");
+    return { iso2, iso3, tr, en, names: [tr, en, ...aliases] };
+  });
+
+  // Provinces (il) in plate-code order: index 0 is 01 Adana. Old or short
+  // names follow the official one.
+  const TR_PROVINCE_NAMES = [
+    "Adana",
+    "Adıyaman",
+    "Afyonkarahisar|Afyon",
+    "Ağrı",
+    "Amasya",
+    "Ankara",
+    "Antalya",
+    "Artvin",
+    "Aydın",
+    "Balıkesir",
+    "Bilecik",
+    "Bingöl",
+    "Bitlis",
+    "Bolu",
+    "Burdur",
+    "Bursa",
+    "Çanakkale",
+    "Çankırı",
+    "Çorum",
+    "Denizli",
+    "Diyarbakır",
+    "Edirne",
+    "Elazığ",
+    "Erzincan",
+    "Erzurum",
+    "Eskişehir",
+    "Gaziantep|Antep",
+    "Giresun",
+    "Gümüşhane",
+    "Hakkari",
+    "Hatay|Antakya",
+    "Isparta",
+    "Mersin|İçel",
+    "İstanbul",
+    "İzmir",
+    "Kars",
+    "Kastamonu",
+    "Kayseri",
+    "Kırklareli",
+    "Kırşehir",
+    "Kocaeli|İzmit",
+    "Konya",
+    "Kütahya",
+    "Malatya",
+    "Manisa",
+    "Kahramanmaraş|Maraş",
+    "Mardin",
+    "Muğla",
+    "Muş",
+    "Nevşehir",
+    "Niğde",
+    "Ordu",
+    "Rize",
+    "Sakarya|Adapazarı",
+    "Samsun",
+    "Siirt",
+    "Sinop",
+    "Sivas",
+    "Tekirdağ",
+    "Tokat",
+    "Trabzon",
+    "Tunceli",
+    "Şanlıurfa|Urfa",
+    "Uşak",
+    "Van",
+    "Yozgat",
+    "Zonguldak",
+    "Aksaray",
+    "Bayburt",
+    "Karaman",
+    "Kırıkkale",
+    "Batman",
+    "Şırnak",
+    "Bartın",
+    "Ardahan",
+    "Iğdır",
+    "Yalova",
+    "Karabük",
+    "Kilis",
+    "Osmaniye",
+    "Düzce",
+  ];
+
+  const TR_PROVINCES = TR_PROVINCE_NAMES.map((row, i) => {
+    const plate = String(i + 1).padStart(2, "0");
+    return { plate, iso: `TR-${plate}`, names: row.split("|") };
+  });
+
+  // "Türkiye", "Turkey", "TR" or "TUR" -> the COUNTRIES entry
+  function findCountry(value) {
+    const f = foldText(value);
+    if (!f) return null;
+    return (
+      COUNTRIES.find(
+        (c) =>
+          foldText(c.iso2) === f ||
+          foldText(c.iso3) === f ||
+          c.names.some((n) => foldText(n) === f),
+      ) || null
+    );
+  }
+
+  function countryCode(value) {
+    return findCountry(value)?.iso2 || "";
+  }
+
+  // "istanbul", "34", "TR-34" -> the TR_PROVINCES entry
+  function findProvince(value) {
+    const f = foldText(value);
+    if (!f) return null;
+    return (
+      TR_PROVINCES.find(
+        (p) =>
+          p.plate === f.padStart(2, "0") ||
+          foldText(p.iso) === f ||
+          p.names.some((n) => foldText(n) === f),
+      ) || null
+    );
+  }
+
+  // Names and codes a site may use for a place in its option lists
+  function placeKeys(place) {
+    return place.iso2
+      ? { names: place.names, codes: [place.iso2, place.iso3] }
+      : {
+          names: place.names,
+          codes: [place.plate, String(Number(place.plate)), place.iso],
+        };
+  }
+
+  // Option text that is itself a code ("TR", "34", "TR-34")
+  const PLACE_CODE_TEXT_RE = /^(\p{L}{2,3}|\p{L}{2}-\d{1,3}|\d{1,3})$/u;
+
+  // options: [{ value, text }] -> index or -1. An exact name on the value
+  // or the text wins, then a code on the text (or on the value when the
+  // text is a code too: values are often database ids), then a name inside
+  // the text ("34 - İstanbul", "Turkey (+90)"). Codes never match inside
+  // text ("NO", "IN").
+  function matchPlaceOption(options, place) {
+    const { names, codes } = placeKeys(place);
+    const exactNames = new Set(names.map(foldText));
+    const exactCodes = new Set(codes.map(foldText));
+    const words = (t) => ` ${foldText(t).replace(/[^\p{L}\p{N}]+/gu, " ")} `;
+    let index = options.findIndex(
+      (o) =>
+        exactNames.has(foldText(o.value)) || exactNames.has(foldText(o.text)),
+    );
+    if (index >= 0) return index;
+    index = options.findIndex((o) => {
+      const text = foldText(o.text);
+      if (exactCodes.has(text)) return true;
+      return (
+        (!text || PLACE_CODE_TEXT_RE.test(text)) &&
+        exactCodes.has(foldText(o.value))
+      );
+    });
+    if (index >= 0) return index;
+    const phrases = names.map((n) => words(n));
+    index = options.findIndex((o) =>
+      phrases.some((p) => words(o.text).includes(p)),
+    );
+    return index;
+  }
+
+  // ---- Phone numbers ----
+
+  // Offline calling-code table: dial code, national number length range,
+  // trunk prefix dialled at home ("0532 ..."), digit grouping (the last
+  // group takes the rest). Names come from COUNTRIES.
+  const PHONE_REGIONS = [
+    {
+      iso: "TR",
+      code: "90",
+      len: [10, 10],
+      trunk: "0",
+      group: [3, 3, 2, 2],
+    },
+    {
+      iso: "US",
+      code: "1",
+      len: [10, 10],
+      trunk: "1",
+      group: [3, 3, 4],
+    },
+    {
+      iso: "CA",
+      code: "1",
+      len: [10, 10],
+      trunk: "1",
+      group: [3, 3, 4],
+    },
+    {
+      iso: "GB",
+      code: "44",
+      len: [10, 10],
+      trunk: "0",
+      group: [4, 6],
+    },
+    {
+      iso: "DE",
+      code: "49",
+      len: [10, 11],
+      trunk: "0",
+      group: [3, 8],
+    },
+    {
+      iso: "FR",
+      code: "33",
+      len: [9, 9],
+      trunk: "0",
+      group: [1, 2, 2, 2, 2],
+    },
+    {
+      iso: "NL",
+      code: "31",
+      len: [9, 9],
+      trunk: "0",
+      group: [1, 4, 4],
+    },
+    {
+      iso: "BE",
+      code: "32",
+      len: [8, 9],
+      trunk: "0",
+      group: [3, 2, 2, 2],
+    },
+    {
+      iso: "ES",
+      code: "34",
+      len: [9, 9],
+      trunk: "",
+      group: [3, 3, 3],
+    },
+    {
+      iso: "IT",
+      code: "39",
+      len: [9, 11],
+      trunk: "",
+      group: [3, 3, 4],
+    },
+    {
+      iso: "PT",
+      code: "351",
+      len: [9, 9],
+      trunk: "",
+      group: [3, 3, 3],
+    },
+    {
+      iso: "IE",
+      code: "353",
+      len: [9, 9],
+      trunk: "0",
+      group: [2, 3, 4],
+    },
+    {
+      iso: "CH",
+      code: "41",
+      len: [9, 9],
+      trunk: "0",
+      group: [2, 3, 2, 2],
+    },
+    {
+      iso: "AT",
+      code: "43",
+      len: [10, 13],
+      trunk: "0",
+      group: [3, 7],
+    },
+    {
+      iso: "PL",
+      code: "48",
+      len: [9, 9],
+      trunk: "",
+      group: [3, 3, 3],
+    },
+    {
+      iso: "CZ",
+      code: "420",
+      len: [9, 9],
+      trunk: "",
+      group: [3, 3, 3],
+    },
+    {
+      iso: "HU",
+      code: "36",
+      len: [8, 9],
+      trunk: "06",
+      group: [2, 3, 4],
+    },
+    {
+      iso: "RO",
+      code: "40",
+      len: [9, 9],
+      trunk: "0",
+      group: [3, 3, 3],
+    },
+    {
+      iso: "BG",
+      code: "359",
+      len: [8, 9],
+      trunk: "0",
+      group: [2, 3, 4],
+    },
+    {
+      iso: "GR",
+      code: "30",
+      len: [10, 10],
+      trunk: "",
+      group: [3, 3, 4],
+    },
+    {
+      iso: "CY",
+      code: "357",
+      len: [8, 8],
+      trunk: "",
+      group: [2, 6],
+    },
+    {
+      iso: "SE",
+      code: "46",
+      len: [7, 9],
+      trunk: "0",
+      group: [2, 3, 2, 2],
+    },
+    {
+      iso: "NO",
+      code: "47",
+      len: [8, 8],
+      trunk: "",
+      group: [3, 2, 3],
+    },
+    {
+      iso: "DK",
+      code: "45",
+      len: [8, 8],
+      trunk: "",
+      group: [2, 2, 2, 2],
+    },
+    {
+      iso: "FI",
+      code: "358",
+      len: [6, 10],
+      trunk: "0",
+      group: [2, 3, 4],
+    },
+    {
+      iso: "RU",
+      code: "7",
+      len: [10, 10],
+      trunk: "8",
+      group: [3, 3, 2, 2],
+    },
+    {
+      iso: "KZ",
+      code: "7",
+      len: [10, 10],
+      trunk: "8",
+      group: [3, 3, 2, 2],
+    },
+    {
+      iso: "UA",
+      code: "380",
+      len: [9, 9],
+      trunk: "0",
+      group: [2, 3, 2, 2],
+    },
+    {
+      iso: "AZ",
+      code: "994",
+      len: [9, 9],
+      trunk: "0",
+      group: [2, 3, 2, 2],
+    },
+    {
+      iso: "GE",
+      code: "995",
+      len: [9, 9],
+      trunk: "0",
+      group: [3, 2, 2, 2],
+    },
+    {
+      iso: "IL",
+      code: "972",
+      len: [8, 9],
+      trunk: "0",
+      group: [2, 3, 4],
+    },
+    {
+      iso: "AE",
+      code: "971",
+      len: [8, 9],
+      trunk: "0",
+      group: [2, 3, 4],
+    },
+    {
+      iso: "SA",
+      code: "966",
+      len: [9, 9],
+      trunk: "0",
+      group: [2, 3, 4],
+    },
+    {
+      iso: "QA",
+      code: "974",
+      len: [8, 8],
+      trunk: "",
+      group: [4, 4],
+    },
+    {
+      iso: "EG",
+      code: "20",
+      len: [9, 10],
+      trunk: "0",
+      group: [2, 4, 4],
+    },
+    {
+      iso: "ZA",
+      code: "27",
+      len: [9, 9],
+      trunk: "0",
+      group: [2, 3, 4],
+    },
+    {
+      iso: "IN",
+      code: "91",
+      len: [10, 10],
+      trunk: "0",
+      group: [5, 5],
+    },
+    {
+      iso: "PK",
+      code: "92",
+      len: [10, 10],
+      trunk: "0",
+      group: [3, 7],
+    },
+    {
+      iso: "CN",
+      code: "86",
+      len: [10, 11],
+      trunk: "0",
+      group: [3, 4, 4],
+    },
+    {
+      iso: "JP",
+      code: "81",
+      len: [9, 10],
+      trunk: "0",
+      group: [2, 4, 4],
+    },
+    {
+      iso: "KR",
+      code: "82",
+      len: [9, 10],
+      trunk: "0",
+      group: [2, 4, 4],
+    },
+    {
+      iso: "AU",
+      code: "61",
+      len: [9, 9],
+      trunk: "0",
+      group: [1, 4, 4],
+    },
+    {
+      iso: "NZ",
+      code: "64",
+      len: [8, 10],
+      trunk: "0",
+      group: [2, 3, 4],
+    },
+    {
+      iso: "BR",
+      code: "55",
+      len: [10, 11],
+      trunk: "0",
+      group: [2, 5, 4],
+    },
+    {
+      iso: "MX",
+      code: "52",
+      len: [10, 10],
+      trunk: "",
+      group: [2, 4, 4],
+    },
+  ];
+
+  // Region by ISO code ("TR") or country name ("Türkiye", "Germany")
+  function phoneRegion(value) {
+    const country = findCountry(value);
+    return (
+      (country && PHONE_REGIONS.find((r) => r.iso === country.iso2)) || null
+    );
+  }
+
+  function fitsRegion(region, national) {
+    return national.length >= region.len[0] && national.length <= region.len[1];
+  }
+
+  function dropTrunk(region, national) {
+    return region.trunk &&
+      national.startsWith(region.trunk) &&
+      fitsRegion(region, national.slice(region.trunk.length))
+      ? national.slice(region.trunk.length)
+      : national;
+  }
+
+  // "+90 532 123 45 67", "0090...", "905321234567" or, with a home region,
+  // "0532 123 45 67" -> { region, code, trunk, national }. null when the number
+  // does not fit the table (the raw value is then used as typed).
+  function parsePhone(phone, home = "") {
+    const s = safeStr(phone);
+    let digits = s.replace(/\D/g, "");
+    if (!digits) return null;
+    const homeRegion = phoneRegion(home);
+    let intl = s.startsWith("+");
+    if (!intl && s.startsWith("00")) {
+      intl = true;
+      digits = digits.slice(2);
+    }
+    if (
+      !intl &&
+      homeRegion &&
+      digits.startsWith(homeRegion.code) &&
+      !fitsRegion(homeRegion, dropTrunk(homeRegion, digits)) &&
+      fitsRegion(homeRegion, digits.slice(homeRegion.code.length))
+    ) {
+      intl = true;
+    }
+
+    if (!intl) {
+      if (!homeRegion) return null;
+      const national = dropTrunk(homeRegion, digits);
+      if (!fitsRegion(homeRegion, national)) return null;
+      return {
+        region: homeRegion.iso,
+        code: homeRegion.code,
+        trunk: homeRegion.trunk,
+        national,
+      };
+    }
+
+    // Longest known dial code; the home region breaks ties (+1, +7)
+    for (const n of [3, 2, 1]) {
+      const code = digits.slice(0, n);
+      const regions = PHONE_REGIONS.filter((r) => r.code === code);
+      if (!regions.length) continue;
+      const region = regions.find((r) => r === homeRegion) || regions[0];
+      // "+90 0532 ..." carries the trunk prefix by mistake
+      const national = dropTrunk(region, digits.slice(n));
+      if (!fitsRegion(region, national)) return null;
+      return { region: region.iso, code, trunk: region.trunk, national };
+    }
+    return null;
+  }
+
+  function groupDigits(digits, group) {
+    const out = [];
+    let at = 0;
+    for (const [i, size] of group.entries()) {
+      if (at >= digits.length) break;
+      const last = i === group.length - 1;
+      out.push(digits.slice(at, last ? undefined : at + size));
+      at += size;
+    }
+    return out.join(" ");
+  }
+
+  // Ways of writing a parsed number, international forms first, then the
+  // domestic ones with and without the trunk prefix:
+  // +905321234567, +90 532 123 45 67, 05321234567, 0532 123 45 67,
+  // 5321234567, 532 123 45 67
+  function phoneVariants({ region, code, trunk, national }) {
+    const grouped = groupDigits(
+      national,
+      PHONE_REGIONS.find((r) => r.iso === region).group,
+    );
+    const list = [
+      { text: `+${code}${national}`, intl: true },
+      { text: `+${code} ${grouped}`, intl: true },
+    ];
+    if (trunk) {
+      list.push(
+        { text: `${trunk}${national}`, intl: false, trunk: true },
+        { text: `${trunk}${grouped}`, intl: false, trunk: true },
+      );
+    }
+    list.push({ text: national, intl: false }, { text: grouped, intl: false });
+    return list;
+  }
+
+  // Fills "5XX XXX XX XX" / "(555) 555-5555" / "+90 5XX ..." style masks;
+  // "" unless the mask has exactly as many slots as the digits
+  function fillPhoneMask(mask, digits) {
+    const slots = mask.match(/[\dXx#*_]/g) || [];
+    if (slots.length !== digits.length) return "";
+    let i = 0;
+    return mask.replace(/[\dXx#*_]/g, () => digits[i++]);
+  }
+
+  function normalizePhone(phone, home = "") {
     let p = safeStr(phone);
     if (!p) return "";
+    const parsed = parsePhone(p, home);
+    if (parsed) return `+${parsed.code}${parsed.national}`;
     // Keep leading +, remove other non-digits
     const plus = p.trim().startsWith("+");
     p = p.replace(/[^\d]/g, "");
@@ -209,27 +1207,250 @@
     return u;
   }
 
+  // ---- Dates ----
+  // Profile dates are stored as ISO: "YYYY", "YYYY-MM" or "YYYY-MM-DD".
+
+  const MONTH_NAMES = {
+    tr: [
+      "ocak",
+      "şubat",
+      "mart",
+      "nisan",
+      "mayıs",
+      "haziran",
+      "temmuz",
+      "ağustos",
+      "eylül",
+      "ekim",
+      "kasım",
+      "aralık",
+    ],
+    en: [
+      "january",
+      "february",
+      "march",
+      "april",
+      "may",
+      "june",
+      "july",
+      "august",
+      "september",
+      "october",
+      "november",
+      "december",
+    ],
+  };
+
+  // "Oca", "Şub", "Jan", "Sept" ... -> 1..12 (0 when not a month name)
+  function monthFromText(text) {
+    const t = foldText(text).replace(/[^\p{L}]/gu, "");
+    if (t.length < 3) return 0;
+    for (const names of Object.values(MONTH_NAMES)) {
+      const i = names.findIndex((n) => foldText(n).startsWith(t));
+      if (i >= 0) return i + 1;
+    }
+    return 0;
+  }
+
+  function daysInMonth(year, month) {
+    return new Date(Date.UTC(year || 2000, month, 0)).getUTCDate();
+  }
+
+  function fullYear(y) {
+    const n = Number(y);
+    if (String(y).length > 2) return n;
+    // Two-digit years: not in the future, otherwise last century
+    const now = new Date().getFullYear();
+    return n + 2000 > now ? 1900 + n : 2000 + n;
+  }
+
+  // Parses ISO, DD.MM.YYYY, DD/MM/YYYY, MM/DD/YYYY (when the day gives it
+  // away), MM/YYYY, YYYY and month-name forms ("15 Ocak 1990", "Jan 2020").
+  // Returns { year, month, day } with 0 for missing parts, or null.
+  function parseDate(text, { dayFirst = true } = {}) {
+    const s = safeStr(text);
+    if (!s) return null;
+    let year = 0;
+    let month = 0;
+    let day = 0;
+    let m;
+    if (
+      (m = s.match(/^(\d{4})(?:[-./](\d{1,2})(?:[-./](\d{1,2}))?)?(?:T.*)?$/))
+    ) {
+      [year, month, day] = [Number(m[1]), Number(m[2] || 0), Number(m[3] || 0)];
+    } else if ((m = s.match(/^(\d{1,2})[-./ ](\d{1,2})[-./ ](\d{2}|\d{4})$/))) {
+      const a = Number(m[1]);
+      const b = Number(m[2]);
+      if (a > 12 || (b <= 12 && dayFirst)) [day, month] = [a, b];
+      else [month, day] = [a, b];
+      year = fullYear(m[3]);
+    } else if ((m = s.match(/^(\d{1,2})[-./ ](\d{4})$/))) {
+      [month, year] = [Number(m[1]), Number(m[2])];
+    } else {
+      const words = s.split(/[\s,./-]+/).filter(Boolean);
+      for (const w of words) {
+        if (/^\d{4}$/.test(w) && !year) year = Number(w);
+        else if (/^\d{1,2}(\.|st|nd|rd|th)?$/i.test(w) && !day)
+          day = parseInt(w, 10);
+        else if (!month && (month = monthFromText(w))) continue;
+        else return null;
+      }
+      if (!month || !year) return null;
+    }
+    if (year < 1900 || year > 2100) return null;
+    if (month > 12 || (!month && day)) return null;
+    if (day && day > daysInMonth(year, month)) return null;
+    return { year, month, day };
+  }
+
+  function pad2(n) {
+    return String(n).padStart(2, "0");
+  }
+
+  function toIsoDate({ year, month, day }) {
+    return [String(year), month && pad2(month), month && day && pad2(day)]
+      .filter(Boolean)
+      .join("-");
+  }
+
+  // ISO when parseable; anything else ("Halen", "2020 bahar") is kept as typed
+  function normalizeDate(v) {
+    const parts = parseDate(v);
+    return parts ? toIsoDate(parts) : safeStr(v);
+  }
+
+  // Finds a format hint such as "GG.AA.YYYY", "MM/DD/YYYY" or "MM/YYYY" in a
+  // placeholder or label. Returns the tokens and separators, or null.
+  const DATE_TOKEN = "(?:dd|gg|mm|aa|yyyy|yy)";
+  const DATE_PATTERN_RE = new RegExp(
+    `(?:^|[^a-z])(${DATE_TOKEN}(?:\\s?[./-]\\s?${DATE_TOKEN}){1,2})(?![a-z])`,
+  );
+
+  function datePatternFromText(text) {
+    const m = foldText(text).match(DATE_PATTERN_RE);
+    if (!m) return null;
+    const parts = m[1].split(/(dd|gg|mm|aa|yyyy|yy)/).filter(Boolean);
+    const kinds = parts.filter((p) => /^[a-z]+$/.test(p));
+    return new Set(kinds).size === kinds.length ? parts : null;
+  }
+
+  // Fills a pattern from datePatternFromText; "" when a needed part is missing
+  function formatDate(parts, pattern) {
+    let out = "";
+    for (const tok of pattern) {
+      if (tok === "dd" || tok === "gg") {
+        if (!parts.day) return "";
+        out += pad2(parts.day);
+      } else if (tok === "mm" || tok === "aa") {
+        if (!parts.month) return "";
+        out += pad2(parts.month);
+      } else if (tok === "yyyy") out += parts.year;
+      else if (tok === "yy") out += String(parts.year).slice(-2);
+      else out += tok;
+    }
+    return out;
+  }
+
+  // Page-locale numeric form with whatever precision the profile has:
+  // tr 15.01.1990, en-US 01/15/1990, en-GB 15/01/1990
+  function formatDateLocale(parts, lang) {
+    if (!parts.month) return String(parts.year);
+    const opts = { year: "numeric", month: "2-digit", timeZone: "UTC" };
+    if (parts.day) opts.day = "2-digit";
+    const date = new Date(
+      Date.UTC(parts.year, parts.month - 1, parts.day || 1),
+    );
+    try {
+      return new Intl.DateTimeFormat(lang || "tr", opts).format(date);
+    } catch {
+      return formatDate(
+        parts,
+        parts.day ? ["dd", ".", "mm", ".", "yyyy"] : ["mm", ".", "yyyy"],
+      );
+    }
+  }
+
+  // Which profile date a label asks for ("Doğum tarihi" -> dateOfBirth)
+  function matchDateField(text) {
+    return matchChoiceOption(text, {
+      dateOfBirth: FIELD_SYNONYMS.dateOfBirth,
+      graduationYear: FIELD_SYNONYMS.graduationYear,
+    });
+  }
+
+  function normalizeList(list, keys) {
+    if (!Array.isArray(list)) return [];
+    return list
+      .map((item) => {
+        const entry = {};
+        for (const k of keys) {
+          entry[k] = DATE_KEYS.has(k)
+            ? normalizeDate(item?.[k])
+            : safeStr(item?.[k]);
+        }
+        return entry;
+      })
+      .filter((entry) => keys.some((k) => entry[k]));
+  }
+
+  function normalizeAnswers(raw) {
+    const answers = {};
+    for (const [key, q] of Object.entries(SCREENING_QUESTIONS)) {
+      const v = safeStr(raw?.[key]);
+      const allowed = q.kind === "yesno" ? YES_NO_OPTIONS : q.options;
+      if (v && allowed[v]) answers[key] = v;
+    }
+    return answers;
+  }
+
+  function normalizeQaBank(list) {
+    if (!Array.isArray(list)) return [];
+    return list
+      .map((e) => ({
+        questions: (Array.isArray(e?.questions) ? e.questions : [e?.questions])
+          .map(safeStr)
+          .filter(Boolean),
+        answer: safeStr(e?.answer),
+        kind: QA_KINDS.includes(e?.kind) ? e.kind : "text",
+      }))
+      .filter((e) => e.questions.length);
+  }
+
+  // Turkish provinces get their official spelling ("istanbul" -> "İstanbul")
+  function normalizeCity(city, country) {
+    const c = safeStr(city);
+    const turkish = !safeStr(country) || countryCode(country) === "TR";
+    return (turkish && findProvince(c)?.names[0]) || c;
+  }
+
   function normalizeProfile(raw = {}) {
     const profile = {
       firstName: safeStr(raw.firstName),
       lastName: safeStr(raw.lastName),
       fullName: safeStr(raw.fullName),
       email: safeStr(raw.email).toLowerCase(),
-      phone: normalizePhone(raw.phone),
+      phone: normalizePhone(raw.phone, raw.country),
       addressLine: safeStr(raw.addressLine),
-      city: safeStr(raw.city),
+      addressLine2: safeStr(raw.addressLine2),
+      neighbourhood: safeStr(raw.neighbourhood),
+      district: safeStr(raw.district),
+      city: normalizeCity(raw.city, raw.country),
       state: safeStr(raw.state),
       postalCode: safeStr(raw.postalCode),
-      country: safeStr(raw.country),
+      country: countryCode(raw.country) || safeStr(raw.country),
       linkedin: normalizeUrl(raw.linkedin),
       github: normalizeUrl(raw.github),
       website: normalizeUrl(raw.website),
-      dateOfBirth: safeStr(raw.dateOfBirth),
+      dateOfBirth: normalizeDate(raw.dateOfBirth),
       summary: safeStr(raw.summary),
       coverLetter: safeStr(raw.coverLetter),
-      graduationYear: safeStr(raw.graduationYear),
+      graduationYear: normalizeDate(raw.graduationYear),
       experienceYears: safeStr(raw.experienceYears),
       salaryExpectation: safeStr(raw.salaryExpectation),
+      positions: normalizeList(raw.positions, LIST_FIELDS.positions),
+      schools: normalizeList(raw.schools, LIST_FIELDS.schools),
+      answers: normalizeAnswers(raw.answers),
+      qaBank: normalizeQaBank(raw.qaBank),
     };
 
     // Derive fullName if missing
@@ -251,6 +1472,271 @@
     return profile;
   }
 
+  // ---- CV text parsing (PDF import) ----
+
+  const CV_HEADINGS = {
+    summary: [
+      "summary",
+      "professional summary",
+      "profile",
+      "about",
+      "about me",
+      "objective",
+      "career objective",
+      "özet",
+      "hakkımda",
+      "profil",
+      "kariyer hedefi",
+    ],
+    education: [
+      "education",
+      "education and training",
+      "academic background",
+      "eğitim",
+      "eğitim bilgileri",
+      "öğrenim",
+      "öğrenim bilgileri",
+    ],
+    experience: [
+      "experience",
+      "work experience",
+      "professional experience",
+      "employment",
+      "employment history",
+      "deneyim",
+      "iş deneyimi",
+      "iş tecrübesi",
+      "tecrübe",
+    ],
+    skills: [
+      "skills",
+      "technical skills",
+      "yetenekler",
+      "beceriler",
+      "teknik beceriler",
+    ],
+    other: [
+      "projects",
+      "languages",
+      "certificates",
+      "certifications",
+      "references",
+      "contact",
+      "interests",
+      "hobbies",
+      "projeler",
+      "diller",
+      "yabancı dil",
+      "sertifikalar",
+      "referanslar",
+      "iletişim",
+      "ilgi alanları",
+      "hobiler",
+    ],
+  };
+
+  // Common CV cities; the first match in the header wins
+  const CV_CITIES = [
+    "İstanbul",
+    "Ankara",
+    "İzmir",
+    "Bursa",
+    "Antalya",
+    "Adana",
+    "Konya",
+    "Gaziantep",
+    "Kocaeli",
+    "Eskişehir",
+    "Kayseri",
+    "Mersin",
+    "Samsun",
+    "Trabzon",
+    "Denizli",
+    "Sakarya",
+    "Tekirdağ",
+    "Muğla",
+    "Diyarbakır",
+    "Erzurum",
+    "Edirne",
+    "London",
+    "Berlin",
+    "Munich",
+    "Amsterdam",
+    "Paris",
+    "Dublin",
+    "Vienna",
+    "Zurich",
+    "Warsaw",
+    "New York",
+    "San Francisco",
+    "Toronto",
+    "Dubai",
+  ];
+
+  // Library / framework names shaped like domains
+  const CV_TECH_TOKENS = ["asp.net", "ado.net", "vb.net", "socket.io"];
+
+  const CV_PHONE_LINE_RE = /\b(tel|telefon|phone|mobile|gsm|cep)\b|\+\d/i;
+
+  // Only years and month/day parts: "2010 - 2014", "2015.09 - 2019.06"
+  function isDateRun(text) {
+    const groups = text.match(/\d+/g) || [];
+    const year = (g) => /^(19|20)\d\d$/.test(g);
+    return groups.some(year) && groups.every((g) => year(g) || g.length <= 2);
+  }
+
+  function foldText(s) {
+    return safeStr(s)
+      .toLocaleLowerCase("tr")
+      .replace(/ı/g, "i")
+      .replace(/ş/g, "s")
+      .replace(/ğ/g, "g")
+      .replace(/ü/g, "u")
+      .replace(/ö/g, "o")
+      .replace(/ç/g, "c")
+      .replace(/\u0307/g, "");
+  }
+
+  function toTitleCase(s) {
+    return safeStr(s)
+      .toLocaleLowerCase("tr")
+      .replace(
+        /(^|[\s-])(\p{L})/gu,
+        (_m, sep, ch) => sep + ch.toLocaleUpperCase("tr"),
+      );
+  }
+
+  function cvHeadingKind(line) {
+    const t = foldText(line)
+      .replace(/[:•|]+$/g, "")
+      .trim();
+    if (!t || t.length > 40) return null;
+    for (const [kind, list] of Object.entries(CV_HEADINGS)) {
+      if (list.some((h) => foldText(h) === t)) return kind;
+    }
+    return null;
+  }
+
+  function splitCvSections(lines) {
+    const sections = {
+      header: [],
+      summary: [],
+      education: [],
+      experience: [],
+      skills: [],
+      other: [],
+    };
+    let current = "header";
+    for (const line of lines) {
+      const kind = cvHeadingKind(line);
+      if (kind) {
+        current = kind;
+        continue;
+      }
+      sections[current].push(line);
+    }
+    return sections;
+  }
+
+  function guessCvName(headerLines) {
+    for (const line of headerLines.slice(0, 6)) {
+      if (/[\d@/:]/.test(line)) continue;
+      const words = line.split(/\s+/).filter(Boolean);
+      if (words.length < 2 || words.length > 4) continue;
+      if (!words.every((w) => /^\p{Lu}[\p{L}'.-]*$/u.test(w))) continue;
+      return line === line.toLocaleUpperCase("tr") ? toTitleCase(line) : line;
+    }
+    return "";
+  }
+
+  function parseCvText(text) {
+    const lines = safeStr(text)
+      .split(/\r?\n/)
+      .map((l) => l.replace(/\s+/g, " ").trim())
+      .filter(Boolean);
+    const sections = splitCvSections(lines);
+    const all = lines.join("\n");
+    const out = {};
+
+    const email = all.match(/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i);
+    if (email) out.email = email[0].toLowerCase();
+
+    const linkedin = all.match(
+      /(?:https?:\/\/)?(?:[a-z]{2,3}\.)?linkedin\.com\/in\/[\w%-]+/i,
+    );
+    if (linkedin) out.linkedin = normalizeUrl(linkedin[0]);
+
+    const github = all.match(/(?:https?:\/\/)?(?:www\.)?github\.com\/[\w-]+/i);
+    if (github) out.github = normalizeUrl(github[0]);
+
+    // Any other URL (emails removed first so their domains don't match).
+    // Skills lines are left out and a bare "name.tld" needs a lowercase host,
+    // so ASP.NET or Socket.io never become the website.
+    const urlRe =
+      /(?:https?:\/\/)?(?:www\.)?[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|io|dev|me|app|co|info|tr)(?:\/[^\s,;)]*)?/gi;
+    const skillLines = new Set(sections.skills);
+    const noEmails = lines
+      .filter((l) => !skillLines.has(l))
+      .join("\n")
+      .replace(/[^\s@]+@[^\s@]+/g, " ");
+    for (const m of noEmails.match(urlRe) || []) {
+      if (/linkedin\.com|github\.com/i.test(m)) continue;
+      if (!/^(https?:\/\/|www\.)/i.test(m)) {
+        const host = m.split("/")[0];
+        if (host !== host.toLowerCase() || CV_TECH_TOKENS.includes(host))
+          continue;
+      }
+      out.website = normalizeUrl(m);
+      break;
+    }
+
+    // Phones sit in the header or on a labelled line; elsewhere date
+    // ranges ("2015.09 - 2019.06") read as one long number
+    const phoneText = [
+      ...sections.header,
+      ...lines.filter((l) => CV_PHONE_LINE_RE.test(l)),
+    ].join("\n");
+    for (const m of phoneText.match(/\+?\(?\d[\d\s().-]{8,}\d/g) || []) {
+      const digits = m.replace(/\D/g, "");
+      if (digits.length < 10 || digits.length > 15) continue;
+      if (isDateRun(m)) continue;
+      out.phone = normalizePhone(m);
+      break;
+    }
+
+    const name = guessCvName(sections.header.length ? sections.header : lines);
+    if (name) {
+      const parts = name.split(/\s+/);
+      out.fullName = name;
+      out.firstName = parts.slice(0, -1).join(" ");
+      out.lastName = parts[parts.length - 1];
+    }
+
+    const headerText = foldText(sections.header.slice(0, 15).join(" "));
+    const fullText = foldText(all);
+    const cityIn = (hay) =>
+      CV_CITIES.find((c) =>
+        new RegExp(`(^|[^\\p{L}])${foldText(c)}($|[^\\p{L}])`, "u").test(hay),
+      );
+    const city = cityIn(headerText) || cityIn(fullText);
+    if (city) out.city = city;
+
+    // Latest plausible year in the education section = graduation year
+    const maxYear = new Date().getFullYear() + 6;
+    const eduText = sections.education.join(" ");
+    const years = (eduText.match(/\b(19[5-9]\d|20\d\d)\b/g) || [])
+      .map(Number)
+      .filter((y) => y <= maxYear);
+    if (years.length) {
+      out.graduationYear = String(Math.max(...years));
+    }
+
+    const summary = sections.summary.join(" ").trim();
+    if (summary) out.summary = summary.slice(0, 1500);
+
+    return out;
+  }
+
   function isVisible(el) {
     try {
       if (!el) return false;
@@ -286,7 +1772,249 @@
     return true;
   }
 
+  function isChoiceElement(el) {
+    if ((el?.tagName || "").toLowerCase() !== "input") return false;
+    const type = (el.getAttribute("type") || "").toLowerCase();
+    return type === "radio" || type === "checkbox";
+  }
+
+  function oneLine(s) {
+    return safeStr(s).replace(/\s+/g, " ");
+  }
+
+  function getOptionLabel(el) {
+    const id = el.getAttribute("id");
+    if (id) {
+      const lbl = labelFor(id);
+      if (lbl && safeStr(lbl.innerText)) return oneLine(lbl.innerText);
+    }
+    const wrap = el.closest("label");
+    if (wrap && safeStr(wrap.innerText)) return oneLine(wrap.innerText);
+    const aria = safeStr(el.getAttribute("aria-label"));
+    if (aria) return aria;
+    const next = el.nextSibling;
+    if (next && safeStr(next.textContent)) return oneLine(next.textContent);
+    return safeStr(el.value);
+  }
+
+  // Radios grouped by name within their form, unnamed checkboxes by their
+  // fieldset/group
+  function collectChoiceGroups(elements) {
+    const byScope = new Map();
+    const groups = [];
+    for (const el of elements) {
+      if (!isChoiceElement(el) || el.disabled) continue;
+      const name = el.getAttribute("name") || "";
+      const scope = name
+        ? el.form || el.getRootNode()
+        : el.closest("fieldset, [role='group']") || el;
+      if (!byScope.has(scope)) byScope.set(scope, new Map());
+      const named = byScope.get(scope);
+      const key = `${el.type}:${name}`;
+      if (!named.has(key)) {
+        named.set(key, []);
+        groups.push(named.get(key));
+      }
+      named.get(key).push(el);
+    }
+    return groups;
+  }
+
+  function getChoiceGroupQuestion(inputs) {
+    const first = inputs[0];
+    const box = first.closest("fieldset, [role='radiogroup'], [role='group']");
+    if (box) {
+      const legend = box.querySelector(":scope > legend");
+      if (legend && safeStr(legend.innerText)) return oneLine(legend.innerText);
+      const aria = safeStr(box.getAttribute("aria-label"));
+      if (aria) return aria;
+      const ids = safeStr(box.getAttribute("aria-labelledby"));
+      const byId = ids
+        .split(/\s+/)
+        .map((id) => document.getElementById(id)?.innerText)
+        .filter(Boolean)
+        .join(" ");
+      if (safeStr(byId)) return oneLine(byId);
+    }
+
+    // A single checkbox carries its own question ("I have a driver's licence")
+    if (inputs.length === 1 && first.type === "checkbox") {
+      return getOptionLabel(first);
+    }
+
+    // Smallest container holding every option; the question is the text
+    // right before it or its own leading label/heading.
+    let container = first.parentElement;
+    while (container && !inputs.every((i) => container.contains(i))) {
+      container = container.parentElement;
+    }
+    if (!container) return "";
+    const optionTexts = new Set(inputs.map(getOptionLabel));
+    const lead = container.querySelector(
+      "label, legend, h1, h2, h3, h4, h5, h6, p, span, div",
+    );
+    if (lead && !lead.contains(first)) {
+      const t = oneLine(lead.innerText);
+      if (t && !optionTexts.has(t)) return t;
+    }
+    for (let node = container; node; node = node.parentElement) {
+      const prev = node.previousElementSibling;
+      if (prev && safeStr(prev.innerText)) return oneLine(prev.innerText);
+      if (node.parentElement?.children.length > 1) break;
+    }
+    return "";
+  }
+
+  function matchScreeningQuestion(question) {
+    const q = foldText(question);
+    if (!q) return null;
+    let best = null;
+    for (const [key, def] of Object.entries(SCREENING_QUESTIONS)) {
+      for (const syn of def.synonyms) {
+        const f = foldText(syn);
+        if (q.includes(f) && (!best || f.length > best.len)) {
+          best = { key, len: f.length };
+        }
+      }
+    }
+    return best ? best.key : null;
+  }
+
+  // Phrase match on word boundaries; the earliest phrase wins ("No, I will
+  // need sponsorship" is a no), then the longest.
+  function matchChoiceOption(label, options) {
+    const t = ` ${foldText(label).replace(/[^\p{L}\p{N}'+-]+/gu, " ")} `;
+    let best = null;
+    for (const [value, phrases] of Object.entries(options)) {
+      for (const p of phrases) {
+        const f = foldText(p);
+        const at = t.indexOf(` ${f} `);
+        if (at < 0) continue;
+        if (!best || at < best.at || (at === best.at && f.length > best.len)) {
+          best = { value, at, len: f.length };
+        }
+      }
+    }
+    return best ? best.value : null;
+  }
+
+  function qaTokens(text) {
+    return tokenize(foldText(text)).filter((t) => !QA_STOP_WORDS.has(t));
+  }
+
+  // Best bank entry for a question text: a contained phrasing scores 1,
+  // otherwise the share of the phrasing's content words found in the text.
+  function matchQaEntry(text, bank, kinds = null) {
+    const hay = foldText(text);
+    if (!hay) return null;
+    const hayTokens = new Set(qaTokens(text));
+
+    let best = null;
+    for (const entry of bank || []) {
+      if (!entry.answer) continue;
+      if (kinds && !kinds.includes(entry.kind)) continue;
+      for (const q of entry.questions) {
+        const phrase = foldText(q)
+          .replace(/[?:*.!]+/g, "")
+          .trim();
+        let score = 0;
+        if (phrase && hay.includes(phrase)) {
+          score = 1;
+        } else {
+          const toks = qaTokens(q);
+          if (toks.length)
+            score = toks.filter((t) => hayTokens.has(t)).length / toks.length;
+        }
+        if (score >= QA_MIN_SCORE && (!best || score > best.score)) {
+          best = { entry, score, phrase: q };
+        }
+      }
+    }
+    return best;
+  }
+
+  function setChecked(el, checked) {
+    try {
+      const from = !!el.checked;
+      if (from !== checked) {
+        // A real click fires click/input/change and updates framework state
+        el.click();
+        if (!!el.checked !== checked) {
+          el.checked = checked;
+          el.dispatchEvent(new Event("input", { bubbles: true }));
+          el.dispatchEvent(new Event("change", { bubbles: true }));
+        }
+      }
+      return { ok: !!el.checked === checked, from, to: checked };
+    } catch (e) {
+      return { ok: false, error: String(e) };
+    }
+  }
+
+  // Signals and layout are read once per element while a fill pass is
+  // open; every type is then scored from the same reading
+  let signalPass = null;
+
+  function beginSignalPass() {
+    signalPass = {
+      signals: new WeakMap(),
+      fields: new WeakMap(),
+      rects: new WeakMap(),
+      labelsFor: null,
+    };
+  }
+
+  function endSignalPass() {
+    signalPass = null;
+  }
+
+  // After a step that changes the page (a block added, a list opened)
+  function resetSignalPass() {
+    if (!signalPass) return;
+    endSignalPass();
+    beginSignalPass();
+  }
+
+  function rectOf(el) {
+    if (!signalPass) return el.getBoundingClientRect();
+    let r = signalPass.rects.get(el);
+    if (!r) {
+      r = el.getBoundingClientRect();
+      signalPass.rects.set(el, r);
+    }
+    return r;
+  }
+
+  // <label for> by id; one document query per pass instead of per field
+  function labelFor(id) {
+    if (!signalPass) {
+      return document.querySelector(`label[for="${CSS.escape(id)}"]`);
+    }
+    if (!signalPass.labelsFor) {
+      signalPass.labelsFor = new Map();
+      for (const l of document.querySelectorAll("label[for]")) {
+        const key = l.getAttribute("for");
+        if (!signalPass.labelsFor.has(key)) signalPass.labelsFor.set(key, l);
+      }
+    }
+    // Labels rendered since the index was built
+    let label = signalPass.labelsFor.get(id);
+    if (!label) {
+      label = document.querySelector(`label[for="${CSS.escape(id)}"]`);
+      if (label) signalPass.labelsFor.set(id, label);
+    }
+    return label || null;
+  }
+
   function getElementTextSignals(el) {
+    const cached = signalPass?.signals.get(el);
+    if (cached) return cached;
+    const signals = readTextSignals(el);
+    signalPass?.signals.set(el, signals);
+    return signals;
+  }
+
+  function readTextSignals(el) {
     // Collect signals from label, placeholder, aria-label, name, id, autocomplete, data-testid
     const signals = [];
 
@@ -313,7 +2041,7 @@
     // label: <label for="...">
     const id = el.getAttribute?.("id");
     if (id) {
-      const lbl = document.querySelector(`label[for="${CSS.escape(id)}"]`);
+      const lbl = labelFor(id);
       if (lbl) add(lbl.innerText, 9, "label-for");
     }
 
@@ -339,12 +2067,12 @@
       const labels = container.querySelectorAll(
         "label, [role='label'], .label, .field-label, .form-label",
       );
+      const er = rectOf(el);
       labels.forEach((l) => {
         if (!l) return;
         const text = safeStr(l.innerText);
         if (!text) return;
-        const r = l.getBoundingClientRect();
-        const er = el.getBoundingClientRect();
+        const r = rectOf(l);
         // label above or left, near the input
         const verticalDist = Math.abs(er.top - r.bottom);
         const horizontalDist = Math.abs(er.left - r.right);
@@ -363,7 +2091,10 @@
   }
 
   function tokenize(text) {
-    const t = safeStr(text).toLowerCase();
+    // "İlçe".toLowerCase() keeps a combining dot over the i
+    const t = safeStr(text)
+      .toLowerCase()
+      .replace(/\u0307/g, "");
     if (!t) return [];
     // Replace separators with spaces
     const cleaned = t
@@ -373,18 +2104,65 @@
     return parts.filter((p) => !STOP_WORDS.has(p));
   }
 
-  function scoreFieldType(el, fieldType) {
-    const signals = getElementTextSignals(el);
-    const tokensBySignal = signals.map((s) => ({
-      ...s,
-      tokens: tokenize(s.text),
+  // Synonym tokens per field type, built on first use
+  const synonymTokenCache = new Map();
+
+  function synonymTokensOf(fieldType) {
+    let toks = synonymTokenCache.get(fieldType);
+    if (!toks) {
+      toks = new Set((FIELD_SYNONYMS[fieldType] || []).flatMap(tokenize));
+      synonymTokenCache.set(fieldType, toks);
+    }
+    return toks;
+  }
+
+  // Everything the scorer reads from an element, tokenized once
+  function collectFieldSignals(el) {
+    const cached = signalPass?.fields.get(el);
+    if (cached) return cached;
+    const tag = (el.tagName || "").toLowerCase();
+    const field = {
+      signals: getElementTextSignals(el).map((s) => ({
+        ...s,
+        tokens: tokenize(s.text),
+      })),
+      ac: safeStr(el.getAttribute?.("autocomplete")).toLowerCase(),
+      inputType:
+        tag === "input"
+          ? safeStr(el.getAttribute("type")).toLowerCase() || "text"
+          : "",
+      nm: (
+        safeStr(el.getAttribute("name")) +
+        " " +
+        safeStr(el.getAttribute("id"))
+      ).toLowerCase(),
+      ph: safeStr(el.getAttribute("placeholder")).toLowerCase(),
+    };
+    signalPass?.fields.set(el, field);
+    return field;
+  }
+
+  // All types in one pass over the element: [{ type, score, reasons }]
+  function scoreFieldTypes(el, fieldTypes) {
+    const field = collectFieldSignals(el);
+    return fieldTypes.map((type) => ({
+      type,
+      ...scoreCollected(field, type),
     }));
+  }
+
+  function scoreFieldType(el, fieldType) {
+    return scoreCollected(collectFieldSignals(el), fieldType);
+  }
+
+  function scoreCollected(field, fieldType) {
+    const tokensBySignal = field.signals;
 
     let score = 0;
     const reasons = [];
 
     // Autocomplete exact mapping
-    const ac = safeStr(el.getAttribute?.("autocomplete")).toLowerCase();
+    const ac = field.ac;
     if (ac) {
       const mapped = AUTOCOMPLETE_MAP[ac];
       if (mapped === fieldType) {
@@ -397,9 +2175,8 @@
     }
 
     // Input type help
-    const tag = (el.tagName || "").toLowerCase();
-    if (tag === "input") {
-      const t = safeStr(el.getAttribute("type")).toLowerCase() || "text";
+    const t = field.inputType;
+    if (t) {
       if (fieldType === "email" && t === "email") {
         score += 18;
         reasons.push("type=email (+18)");
@@ -428,8 +2205,7 @@
     }
 
     // Keyword matching in signals
-    const synonyms = FIELD_SYNONYMS[fieldType] || [];
-    const synonymTokens = synonyms.flatMap((s) => tokenize(s));
+    const synonymTokens = synonymTokensOf(fieldType);
 
     // Special disambiguation: "name" alone is ambiguous
     const ambiguousNameToken = (tok) => tok === "name" || tok === "isim";
@@ -438,7 +2214,7 @@
       let local = 0;
 
       for (const tok of s.tokens) {
-        if (synonymTokens.includes(tok)) {
+        if (synonymTokens.has(tok)) {
           local += 3;
         }
       }
@@ -464,11 +2240,7 @@
     }
 
     // Extra: known IDs/names patterns
-    const nm = (
-      safeStr(el.getAttribute("name")) +
-      " " +
-      safeStr(el.getAttribute("id"))
-    ).toLowerCase();
+    const nm = field.nm;
     if (nm) {
       if (
         fieldType === "firstName" &&
@@ -495,6 +2267,25 @@
         score += 14;
         reasons.push("name/id pattern (+14)");
       }
+      // "address2" / "line_2" is never the first address line
+      const line2 =
+        /(address|adres)[-_ ]?(line)?[-_ ]?2|line[-_ ]?2|apartment|suite/i;
+      if (fieldType === "addressLine2" && line2.test(nm)) {
+        score += 16;
+        reasons.push("name/id pattern (+16)");
+      }
+      if (fieldType === "addressLine" && line2.test(nm)) {
+        score -= 12;
+        reasons.push("name/id line 2 (-12)");
+      }
+      if (fieldType === "district" && /district|ilce|county/i.test(nm)) {
+        score += 12;
+        reasons.push("name/id pattern (+12)");
+      }
+      if (fieldType === "neighbourhood" && /neighbou?rhood|mahalle/i.test(nm)) {
+        score += 12;
+        reasons.push("name/id pattern (+12)");
+      }
       if (fieldType === "postalCode" && /(zip|postal|posta)/i.test(nm)) {
         score += 12;
         reasons.push("name/id pattern (+12)");
@@ -510,7 +2301,7 @@
     }
 
     // Penalize if element seems like search
-    const ph = safeStr(el.getAttribute("placeholder")).toLowerCase();
+    const ph = field.ph;
     if (ph.includes("search") || ph.includes("ara")) {
       score -= 10;
       reasons.push("search-like (-10)");
@@ -552,48 +2343,135 @@
     return safeStr(s).toLowerCase().replace(/\s+/g, " ").trim();
   }
 
+  // options: [{ value, text }] -> { index, matched } or null. Value match,
+  // then text, then fuzzy includes (country names etc.); blank texts never
+  // match fuzzily
+  function matchOption(options, desired) {
+    const want = normalizeForCompare(desired);
+    if (!want) return null;
+
+    const norm = options.map((o) => ({
+      value: normalizeForCompare(o.value),
+      text: normalizeForCompare(o.text),
+    }));
+    let index = norm.findIndex((o) => o.value && o.value === want);
+    if (index >= 0) return { index, matched: "value" };
+    index = norm.findIndex((o) => o.text === want);
+    if (index >= 0) return { index, matched: "text" };
+    index = norm.findIndex(
+      (o) => o.text && (o.text.includes(want) || want.includes(o.text)),
+    );
+    if (index >= 0) return { index, matched: "fuzzy" };
+    return null;
+  }
+
   function setSelectValue(selectEl, desired) {
     const desiredRaw = safeStr(desired);
     if (!desiredRaw) return { ok: false, error: "empty desired value" };
 
-    const desiredNorm = normalizeForCompare(desiredRaw);
+    const options = Array.from(selectEl.options || []);
+    const hit = matchOption(
+      options.map((opt) => ({ value: opt.value, text: opt.textContent })),
+      desiredRaw,
+    );
+    if (!hit) return { ok: false, error: "no option match" };
 
-    // Try direct value match
-    for (const opt of Array.from(selectEl.options || [])) {
-      if (normalizeForCompare(opt.value) === desiredNorm) {
-        selectEl.value = opt.value;
-        selectEl.dispatchEvent(new Event("change", { bubbles: true }));
-        return { ok: true, matched: "value", to: opt.value };
-      }
-    }
+    const opt = options[hit.index];
+    selectEl.value = opt.value;
+    selectEl.dispatchEvent(new Event("change", { bubbles: true }));
+    return { ok: true, matched: hit.matched, to: opt.value };
+  }
+
+  // Text inputs that only commit a value through a popup list: ARIA
+  // comboboxes, React-Select, MUI Autocomplete, Select2 search fields
+  function isComboboxElement(el) {
+    if ((el?.tagName || "").toLowerCase() !== "input") return false;
+    if (el.getAttribute("role") === "combobox") return true;
+    if (/^(list|both)$/.test(el.getAttribute("aria-autocomplete") || ""))
+      return true;
+    if (el.getAttribute("aria-haspopup") === "listbox") return true;
+    if (/^react-select-/.test(el.id || "")) return true;
+    return /react-select__input|MuiAutocomplete-input|select2-search__field/.test(
+      el.className || "",
+    );
+  }
+
+  // Comboboxes whose list only suggests, so typed text is a valid answer.
+  // React-Select, MUI Autocomplete and Select2 commit list picks only.
+  function isFreeTextCombobox(el) {
+    if (!isComboboxElement(el)) return false;
+    const auto = el.getAttribute("aria-autocomplete") || "";
+    if (!/^(list|both|inline)$/.test(auto)) return false;
+    if (/^react-select-/.test(el.id || "")) return false;
+    return !/react-select__input|MuiAutocomplete-input|select2-search__field/.test(
+      el.className || "",
+    );
+  }
+
+  // ---- Stable selectors (teach mode / customMap) ----
+
+  // Generated ids/names (React ":r1:", "ember123", hashes) change per load
+  function isStableToken(v) {
+    const t = safeStr(v);
+    if (!t || t.length > 80) return false;
+    return !/\d{4,}|[a-f0-9]{8,}|^(ember|react|mui|:r)|^:|^[-_\d]/i.test(t);
+  }
 
-    // Try text match
-    for (const opt of Array.from(selectEl.options || [])) {
-      if (normalizeForCompare(opt.textContent) === desiredNorm) {
-        selectEl.value = opt.value;
-        selectEl.dispatchEvent(new Event("change", { bubbles: true }));
-        return { ok: true, matched: "text", to: opt.value };
+  function buildStableSelector(el) {
+    const tag = (el.tagName || "").toLowerCase();
+    const root = el.getRootNode();
+    const unique = (sel) => {
+      try {
+        return root.querySelectorAll(sel).length === 1;
+      } catch {
+        return false;
       }
+    };
+
+    const attrs = [
+      "id",
+      "name",
+      "data-automation-id",
+      "data-qa",
+      "data-testid",
+      "data-test",
+      "aria-label",
+      "placeholder",
+    ];
+    for (const a of attrs) {
+      const v = el.getAttribute(a);
+      if (!isStableToken(v)) continue;
+      const sel =
+        a === "id" ? `#${CSS.escape(v)}` : `${tag}[${a}="${CSS.escape(v)}"]`;
+      if (unique(sel)) return sel;
     }
 
-    // Fuzzy includes (for country names etc.)
-    for (const opt of Array.from(selectEl.options || [])) {
-      const t = normalizeForCompare(opt.textContent);
-      if (t.includes(desiredNorm) || desiredNorm.includes(t)) {
-        selectEl.value = opt.value;
-        selectEl.dispatchEvent(new Event("change", { bubbles: true }));
-        return { ok: true, matched: "fuzzy", to: opt.value };
+    // Structural path up to the nearest stable id (or the root)
+    const parts = [];
+    let node = el;
+    while (node && node.nodeType === 1) {
+      const id = node.getAttribute("id");
+      if (node !== el && isStableToken(id)) {
+        parts.unshift(`#${CSS.escape(id)}`);
+        break;
       }
+      const t = node.tagName.toLowerCase();
+      const parent = node.parentElement;
+      const same = parent
+        ? Array.from(parent.children).filter((c) => c.tagName === node.tagName)
+        : [];
+      parts.unshift(
+        same.length > 1 ? `${t}:nth-of-type(${same.indexOf(node) + 1})` : t,
+      );
+      node = parent;
     }
-
-    return { ok: false, error: "no option match" };
+    return parts.join(" > ");
   }
 
   function withinTopForm(el) {
-    // Tie-breaker: prefer elements higher on page
+    // Tie-breaker: prefer elements higher on page (pass-cached rect)
     try {
-      const r = el.getBoundingClientRect();
-      return r.top;
+      return rectOf(el).top;
     } catch {
       return 999999;
     }
@@ -635,15 +2513,58 @@
   }
 
   window.CVAUtils = {
+    LIST_FIELDS,
     normalizeProfile,
     normalizePhone,
+    COUNTRIES,
+    TR_PROVINCES,
+    findCountry,
+    countryCode,
+    findProvince,
+    matchPlaceOption,
+    PHONE_REGIONS,
+    phoneRegion,
+    parsePhone,
+    phoneVariants,
+    fillPhoneMask,
     normalizeUrl,
+    parseCvText,
     isVisible,
     isFillableElement,
     getElementTextSignals,
+    beginSignalPass,
+    endSignalPass,
+    resetSignalPass,
     scoreFieldType,
+    scoreFieldTypes,
     setNativeValue,
     withinTopForm,
+    buildStableSelector,
     buildCandidateList,
+    SCREENING_QUESTIONS,
+    YES_NO_OPTIONS,
+    isChoiceElement,
+    isComboboxElement,
+    isFreeTextCombobox,
+    matchOption,
+    getOptionLabel,
+    collectChoiceGroups,
+    getChoiceGroupQuestion,
+    matchScreeningQuestion,
+    matchChoiceOption,
+    QA_KINDS,
+    matchQaEntry,
+    foldText,
+    setChecked,
+    MONTH_NAMES,
+    DATE_KEYS,
+    monthFromText,
+    parseDate,
+    toIsoDate,
+    normalizeDate,
+    datePatternFromText,
+    formatDate,
+    formatDateLocale,
+    matchDateField,
   };
 })();